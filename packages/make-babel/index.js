@@ -1,128 +1,624 @@
 #!/usr/bin/env node
 
 const commander = require('commander');
-const fs = require('fs');
 const path = require('path');
-const os = require('os');
-// const https = require('https');
 const chalk = require('chalk');
-const semver = require('semver');
-const { ensureDirSync } = require('fs-extra');
 const {
-	run,
-	checkAppName,
-	isSafeToCreateProjectIn,
-	canNpmReadCWD,
-	checkNpmVersion,
-	checkYarnVersion,
-} = require('./util');
+	canPrompt,
+	promptForOptions,
+	confirmChanges,
+} = require('./util/wizard');
+const createProject = require('./util/createProject');
+const {
+	planFeatures,
+	applyFeatures,
+	addFeatures,
+} = require('./util/addFeatures');
+const {
+	planUpgrade,
+	printNotes,
+	applyUpgrade,
+	upgradeProject,
+} = require('./util/upgrade');
+const {
+	planAdoption,
+	printAdoptionNotes,
+	applyAdoption,
+	adoptProject,
+} = require('./util/adopt');
+const { printPlan, hasWork } = require('./util/plan');
+const { setCommandSettings, cancelCommand } = require('./util/command');
+const { printInfo } = require('./util/info');
+const { diagnoseProject, doctorProject } = require('./util/doctor');
+const {
+	listTemplates,
+	searchTemplates,
+	printTemplates,
+} = require('./util/templates');
+const { checkForUpdate } = require('./util/updateCheck');
+const { loadConfig } = require('./util/config');
+const { logger, setLogger } = require('./util/logger');
+const {
+	getPackageManagerFromOptions,
+	getPackageManagerFromUserAgent,
+} = require('./util/packageManager');
+const {
+	modulesOptions,
+	polyfillsOptions,
+	validateBabelOptions,
+} = require('./util/babelConfig');
+const { featureNames } = require('./util/features');
+const errors = require('./util/errors');
 const packageJson = require('./package.json');
 
 let projectName;
 
-const init = () => {
-	const program = new commander.Command(packageJson.name)
+// Collects repeated `--var name=value` flags into an object.
+const collectVariable = (value, previous) => {
+	const separator = value.indexOf('=');
+	if (separator < 1) {
+		throw new commander.InvalidArgumentError('Expected name=value.');
+	}
+	return {
+		...previous,
+		[value.slice(0, separator)]: value.slice(separator + 1),
+	};
+};
+
+// `--install-timeout 300` and `--install-retries 2`.
+const parseCount = (value) => {
+	if (!/^\d+$/.test(value)) {
+		throw new commander.InvalidArgumentError('Expected a whole number.');
+	}
+	return Number(value);
+};
+
+const addInstallOptions = (command) =>
+	command
+		.option(
+			'--install-timeout <seconds>',
+			'give up on an install that takes longer, and retry it',
+			parseCount
+		)
+		.option(
+			'--install-retries <count>',
+			'how often to retry an install that timed out or hit a network error, defaults to 2',
+			parseCount
+		);
+
+// Known errors have already been explained by the time they are thrown, so
+// only the others are printed, as bugs.
+const reportError = (err) => {
+	// Exits like the shell would for Ctrl+C, also when a question was cancelled.
+	if (err instanceof errors.CancelledError) {
+		process.exit(err.signal === 'SIGTERM' ? 143 : 130);
+	}
+	if (!(err instanceof errors.MakeBabelError)) {
+		logger.log(chalk.red('Unexpected error. Please report it as a bug:'));
+		logger.log(err);
+	}
+	process.exit(1);
+};
+
+// Ctrl+C stops the install that is running, so that the changes are rolled
+// back before exiting.
+const onSignal = async (signal) => {
+	if (!(await cancelCommand(signal))) {
+		process.exit(signal === 'SIGINT' ? 130 : 143);
+	}
+};
+
+// Prints the plan and, unless it is a dry run, applies it once confirmed.
+const runPlan = async (getPlan, apply, options) => {
+	setCommandSettings(options);
+	process.on('SIGINT', onSignal);
+	process.on('SIGTERM', onSignal);
+	try {
+		const plan = await getPlan();
+		printPlan(plan);
+		if (options.dryRun || !hasWork(plan)) {
+			return plan;
+		}
+		if (canPrompt(options) && !(await confirmChanges())) {
+			console.log('Nothing was changed.');
+			return plan;
+		}
+		await apply(plan, options.verbose);
+		return plan;
+	} catch (err) {
+		reportError(err);
+	} finally {
+		process.removeListener('SIGINT', onSignal);
+		process.removeListener('SIGTERM', onSignal);
+	}
+};
+
+// `make-babel add jest eslint` or `make-babel add jest,eslint`, in the app.
+const add = (features, options) =>
+	runPlan(
+		() =>
+			planFeatures(
+				process.cwd(),
+				[].concat(...features.map((feature) => feature.split(',')))
+			),
+		applyFeatures,
+		options
+	);
+
+// `make-babel upgrade`, in the app.
+const upgrade = async (options) => {
+	const plan = await runPlan(
+		() =>
+			planUpgrade(process.cwd(), {
+				from: options.from,
+				to: options.to,
+				variables: options.var,
+			}),
+		applyUpgrade,
+		options
+	);
+	if (options.dryRun) {
+		printNotes(plan);
+	}
+};
+
+// `make-babel init --adopt`, in an existing Node project.
+const adopt = async (directory = '.', options) => {
+	if (!options.adopt) {
+		console.error(
+			`${chalk.red(
+				'make-babel init only converts existing projects, with'
+			)} ${chalk.cyan('--adopt')}${chalk.red(
+				'. To create a new app, run'
+			)} ${chalk.cyan('make-babel <project-directory>')}${chalk.red('.')}`
+		);
+		process.exit(1);
+	}
+	const plan = await runPlan(
+		() =>
+			planAdoption(path.resolve(directory), {
+				template: options.template,
+				variables: options.var,
+				moveEntry: options.moveEntry,
+				force: options.force,
+			}),
+		applyAdoption,
+		options
+	);
+	if (options.dryRun) {
+		printAdoptionNotes(plan);
+	}
+};
+
+// `make-babel templates list` and `make-babel templates search [query]`.
+const showTemplates = async ({ query, options, search = false }) => {
+	try {
+		const templates = search
+			? await searchTemplates(query, options)
+			: await listTemplates(options);
+		if (options.json) {
+			console.log(JSON.stringify(templates, null, 2));
+		} else {
+			printTemplates(templates);
+		}
+	} catch (err) {
+		reportError(err);
+	}
+};
+
+// `make-babel doctor [directory]`. Exits with 1 if it finds problems.
+const doctor = async (directory = '.', options) => {
+	try {
+		const appPath = path.resolve(directory);
+		const diagnosis = options.json
+			? diagnoseProject(appPath)
+			: await doctorProject({ appPath });
+		if (options.json) {
+			console.log(JSON.stringify(diagnosis, null, 2));
+		}
+		if (diagnosis.problems.length) {
+			process.exit(1);
+		}
+	} catch (err) {
+		reportError(err);
+	}
+};
+
+// With --json, stdout only carries the events, one JSON object per line, and
+// everything else goes to stderr.
+const jsonLogger = {
+	log: (...args) => console.error(...args),
+	warn: (...args) => console.error(...args),
+	error: (...args) => console.error(...args),
+	stream: process.stderr,
+	event: (name, data) => {
+		process.stdout.write(
+			`${JSON.stringify({
+				event: name,
+				time: new Date().toISOString(),
+				...data,
+			})}\n`
+		);
+	},
+};
+
+// The options from the config files and preset apply unless they were passed
+// on the command line. Variables are merged, so `--var` only overrides the
+// ones it names.
+const applyConfig = (program) => {
+	const { config, preset } = program.opts();
+	let loaded;
+	try {
+		loaded = loadConfig({ config, preset });
+	} catch (err) {
+		logger.event('error', { code: err.code || null, message: err.message });
+		reportError(err);
+	}
+	const { variables, packageManager, ...configOptions } = loaded.options;
+	Object.keys(configOptions).forEach((key) => {
+		if (program.getOptionValueSource(key) !== 'cli') {
+			program.setOptionValueWithSource(key, configOptions[key], 'config');
+		}
+	});
+	if (variables) {
+		program.setOptionValueWithSource(
+			'var',
+			{ ...variables, ...program.opts().var },
+			'config'
+		);
+	}
+	if (packageManager && !getPackageManagerFromOptions(program.opts())) {
+		program.setOptionValueWithSource(
+			'packageManager',
+			packageManager,
+			'config'
+		);
+	}
+	return loaded.files;
+};
+
+const init = async () => {
+	const program = addInstallOptions(new commander.Command(packageJson.name))
 		.version(packageJson.version)
 		.option('--verbose', 'print additional logs')
 		.option('--info', 'print environment debug info')
-		.option('--template', 'template name')
-		.option('--yarn', 'use yarn instead of npm', false)
-		.arguments('<project-directory>')
+		.option(
+			'--json',
+			'print newline-delimited JSON events instead of the progress, or with --info the report as JSON'
+		)
+		.option(
+			'--registry <url>',
+			'npm registry to install from and check for a newer make-babel, defaults to npm config'
+		)
+		.option(
+			'--config <file>',
+			'read default options from the file, on top of ~/.make-babelrc and make-babel.config.json'
+		)
+		.option('--preset <name>', 'use a preset from the config files')
+		.option('--template <template>', 'template name')
+		.option(
+			'--var <name=value>',
+			'set a template variable, can be repeated',
+			collectVariable,
+			{}
+		)
+		.option('--use-npm', 'use npm')
+		.option('--yarn', 'use yarn instead of npm')
+		.option('--use-pnpm', 'use pnpm instead of npm')
+		.option('--use-bun', 'use bun instead of npm')
+		.option('--pnp', "use Yarn Plug'n'Play instead of node_modules")
+		.option(
+			'--features <features>',
+			`comma-separated add-ons: ${featureNames.join(', ')}`,
+			(value) =>
+				value
+					.split(',')
+					.map((feature) => feature.trim())
+					.filter(Boolean)
+		)
+		.option('--target <node>', 'Node version to compile for, e.g. node18')
+		.option(
+			'--browserslist <query>',
+			'browsers to compile for, e.g. "defaults"'
+		)
+		.addOption(
+			new commander.Option(
+				'--modules <format>',
+				'module format of the compiled code'
+			).choices(modulesOptions)
+		)
+		.addOption(
+			new commander.Option(
+				'--polyfills <mode>',
+				'how core-js polyfills are added'
+			).choices(polyfillsOptions)
+		)
+		.option(
+			'--shared-babel-config',
+			"in a workspace, use the babel.config.json at its root instead of the app's own"
+		)
+		.option('-y, --yes', 'skip the setup questions and use the defaults')
+		.option('--dry-run', 'print what would be done without writing anything')
+		.option('--no-git', 'skip initializing a git repository')
+		.option(
+			'--keep-on-failure',
+			'keep the partially created project if something fails'
+		)
+		// So that the subcommands' --dry-run, --yes and --verbose are their own.
+		.enablePositionalOptions()
+		.arguments('[project-directory]')
 		.usage(`${chalk.green('<project-directory>')} [options]`)
 		.action((name) => {
 			projectName = name;
 		})
 		.on('--help', () => {
 			console.log(
-				`${chalk.red('IMPORTANT: ')}${chalk.bold(
-					'Does not support PnP, it is too messy with yarn v2, might add in the future'
-				)}`
+				`    Only ${chalk.green('<project-directory>')} is required. \n`
 			);
 			console.log(
-				`    Only ${chalk.green('<project-directory>')} is required. \n`
+				`    When it is missing in a terminal, you will be asked for it along with the other options. Pass ${chalk.cyan(
+					'--yes'
+				)} to skip the questions. \n`
 			);
 			console.log(`${chalk.cyan('--template')} can be one of:`);
 			console.log(`    - JavaScript: ${chalk.green('js')}`);
 			console.log(`    - TypeScript: ${chalk.green('ts')}`);
+			console.log(
+				`    - a custom template published on npm: ${chalk.green(
+					'cba-template-NAME'
+				)}`
+			);
+			console.log(
+				`    - a git repository: ${chalk.green(
+					'github:org/repo#ref:subdir'
+				)}, ${chalk.green('git+ssh://...')}`
+			);
+			console.log(
+				`    - a local directory: ${chalk.green('./path/to/template')}`
+			);
+			console.log(
+				`    Run ${chalk.cyan(
+					'make-babel templates list'
+				)} to see the templates you can use.`
+			);
 			console.log();
-		})
-		.parse(process.argv);
+			console.log(
+				`Without ${chalk.cyan('--use-npm')}, ${chalk.cyan(
+					'--yarn'
+				)}, ${chalk.cyan('--use-pnpm')} or ${chalk.cyan(
+					'--use-bun'
+				)}, the package manager that ran make-babel is used, e.g. ${chalk.cyan(
+					'pnpm dlx'
+				)} or ${chalk.cyan('bunx')}.`
+			);
+			console.log();
+		});
+
+	let addCommand;
+	addInstallOptions(program.command('add <features...>'))
+		.description(
+			`add features to an existing make-babel app: ${featureNames.join(', ')}`
+		)
+		.option('--verbose', 'print additional logs')
+		.option('-y, --yes', 'apply the changes without asking')
+		.option('--dry-run', 'only print the changes')
+		.action((features, addOptions) => {
+			addCommand = { features, options: addOptions };
+		});
+
+	let upgradeOptions;
+	addInstallOptions(program.command('upgrade'))
+		.description(
+			"merge the changes in newer versions of the app's template into it"
+		)
+		.option(
+			'--from <template>',
+			'the template the app was created from, defaults to the one recorded in package.json'
+		)
+		.option(
+			'--to <template>',
+			'the template to upgrade to, defaults to the latest version'
+		)
+		.option(
+			'--var <name=value>',
+			'set a template variable, can be repeated',
+			collectVariable,
+			{}
+		)
+		.option('--verbose', 'print additional logs')
+		.option('-y, --yes', 'apply the changes without asking')
+		.option('--dry-run', 'only print the changes')
+		.action((commandOptions) => {
+			upgradeOptions = commandOptions;
+		});
+
+	let initCommand;
+	addInstallOptions(program.command('init [directory]'))
+		.description(
+			"convert the existing Node project in the directory (the current one by default) to the template's Babel setup"
+		)
+		.option('--adopt', 'keep the existing package.json and files')
+		.option('--template <template>', 'template name')
+		.option(
+			'--var <name=value>',
+			'set a template variable, can be repeated',
+			collectVariable,
+			{}
+		)
+		.option('--move-entry', 'move the entry point into src/')
+		.option('--force', "overwrite conflicting files with the template's")
+		.option('--verbose', 'print additional logs')
+		.option('-y, --yes', 'apply the changes without asking')
+		.option('--dry-run', 'only print the changes')
+		.action((directory, initOptions) => {
+			initCommand = { directory, options: initOptions };
+		});
+
+	let templatesCommand;
+	const templatesProgram = program
+		.command('templates')
+		.description('find templates to pass to --template');
+	templatesProgram
+		.command('list')
+		.description(
+			'list the built-in templates and those in the template catalog'
+		)
+		.option('--registry <url>', 'npm registry to look up the templates in')
+		.option('--json', 'print the templates as JSON')
+		.action((commandOptions) => {
+			templatesCommand = { options: commandOptions };
+		});
+	templatesProgram
+		.command('search [query]')
+		.description('search the registry for published templates')
+		.option(
+			'--registry <url>',
+			'npm registry to search, defaults to npm config'
+		)
+		.option('--json', 'print the templates as JSON')
+		.action((query, commandOptions) => {
+			templatesCommand = { query, options: commandOptions, search: true };
+		});
+
+	let doctorCommand;
+	program
+		.command('doctor [directory]')
+		.description(
+			'check the project in the directory (the current one by default) for broken scripts, Babel setup and Node version'
+		)
+		.option('--json', 'print the problems as JSON')
+		.action((directory, commandOptions) => {
+			doctorCommand = { directory, options: commandOptions };
+		});
+
+	program.parse(process.argv);
+
+	if (addCommand) {
+		await add(addCommand.features, addCommand.options);
+		return;
+	}
+	if (upgradeOptions) {
+		await upgrade(upgradeOptions);
+		return;
+	}
+	if (initCommand) {
+		await adopt(initCommand.directory, initCommand.options);
+		return;
+	}
+	if (templatesCommand) {
+		await showTemplates(templatesCommand);
+		return;
+	}
+	if (doctorCommand) {
+		await doctor(doctorCommand.directory, doctorCommand.options);
+		return;
+	}
+
+	const { json, info } = program.opts();
+	const eventLogger = json && !info ? jsonLogger : undefined;
+	setLogger(eventLogger);
+	const configFiles = applyConfig(program);
+	let options = program.opts();
+	const babelOptionsProblem = validateBabelOptions(options);
+	if (babelOptionsProblem) {
+		// The messages name the API options, e.g. `target` for --target.
+		const message = babelOptionsProblem.replace(
+			/`(\w+)`/g,
+			(match, option) =>
+				`--${option.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`
+		);
+		logger.error(chalk.red(`error: ${message}`));
+		logger.event('error', { code: 'EUSAGE', message });
+		process.exit(1);
+	}
+	if (options.info) {
+		await printInfo({ json: options.json, registry: options.registry });
+		return;
+	}
+	if (!(await checkForUpdate(options.registry))) {
+		logger.event('error', {
+			code: 'EOUTDATED',
+			message: `make-babel ${packageJson.version} is behind the latest release`,
+		});
+		process.exit(1);
+	}
+	if (configFiles.length) {
+		logger.log(
+			`Using the options in ${configFiles
+				.map((file) => chalk.green(file))
+				.join(', ')}${
+				options.preset ? ` with the preset ${chalk.cyan(options.preset)}` : ''
+			}.`
+		);
+		logger.log();
+	}
+	// The events are for a program, which can't answer questions.
+	if (!eventLogger && canPrompt(options)) {
+		({ projectName, options } = await promptForOptions(projectName, options));
+	}
 
 	if (typeof projectName === 'undefined') {
-		console.error('Please specify the project directory:');
-		console.log(
+		logger.error('Please specify the project directory:');
+		logger.log(
 			`  ${chalk.cyan(program.name())} ${chalk.green('<project-directory>')}`
 		);
-		console.log();
-		console.log('For example:');
-		console.log(
+		logger.log();
+		logger.log('For example:');
+		logger.log(
 			`  ${chalk.cyan(program.name())} ${chalk.green('sample-babel-app')}`
 		);
-		console.log();
-		console.log(
+		logger.log();
+		logger.log(
 			`Run ${chalk.cyan(`${program.name()} --help`)} to see all options.`
 		);
+		logger.event('error', {
+			code: 'EUSAGE',
+			message: 'The project directory is missing',
+		});
 		process.exit(1);
 	}
-	const options = program.opts();
-	createApp(projectName, options.verbose, options.template, options.yarn);
-};
-
-const createApp = (name, verbose, template, isYarn) => {
-	const unsupportedNodeVersion = !semver.satisfies(
-		semver.coerce(process.version),
-		'>=12'
-	);
-
-	if (unsupportedNodeVersion) {
-		console.log(
-			chalk.yellow(
-				'Unsupported Node version. Please upgrade to Node 12 or higher for a better experience.'
-			)
-		);
-	}
-	const root = path.resolve(name);
-	const appName = path.basename(root);
-
-	checkAppName(appName);
-	ensureDirSync(appName);
-	if (!isSafeToCreateProjectIn(root, appName)) {
-		process.exit(1);
-	}
-	console.log(`Using ${chalk.green(isYarn ? 'Yarn' : 'NPM')}`);
-	console.log(`\nCreating a new Babel App in ${chalk.green(root)}.\n`);
-
-	const packageJson = {
-		name: appName,
-		version: '1.0.0',
-		private: true,
-	};
-	fs.writeFileSync(
-		path.join(root, 'package.json'),
-		JSON.stringify(packageJson, null, 2) + os.EOL
-	);
-
-	const originalDirectory = process.cwd();
-	process.chdir(root);
-	if (!isYarn && !canNpmReadCWD()) {
-		process.exit(1);
+	try {
+		await createProject({
+			name: projectName,
+			verbose: options.verbose,
+			template: options.template,
+			packageManager:
+				options.packageManager ||
+				getPackageManagerFromOptions(options) ||
+				getPackageManagerFromUserAgent() ||
+				'npm',
+			dryRun: options.dryRun,
+			variables: options.var,
+			pnp: options.pnp,
+			keepOnFailure: options.keepOnFailure,
+			git: options.git,
+			target: options.target,
+			browserslist: options.browserslist,
+			modules: options.modules,
+			polyfills: options.polyfills,
+			features: options.features,
+			sharedBabelConfig: options.sharedBabelConfig,
+			installTimeout: options.installTimeout,
+			installRetries: options.installRetries,
+			registry: options.registry,
+			logger: eventLogger,
+		});
+	} catch (err) {
+		reportError(err);
 	}
+};
 
-	if (!isYarn) {
-		const npmInfo = checkNpmVersion();
-		if (!npmInfo.hasMinNpm) {
-			if (npmInfo.npmVersion) {
-				console.log(
-					chalk.yellow(
-						`You are using npm ${npmInfo.npmVersion} so the project will be bootstrapped with an old unsupported version of tools.\n\n` +
-							`Please update to npm 6 or higher for a better, fully supported experience.\n`
-					)
-				);
-			}
-		}
-	}
+if (require.main === module) {
+	init().catch(reportError);
+}
 
-	run(root, appName, verbose, originalDirectory, template, isYarn);
+module.exports = {
+	createProject,
+	addFeatures,
+	upgradeProject,
+	adoptProject,
+	listTemplates,
+	searchTemplates,
+	doctorProject,
+	...errors,
 };
-
-init();
@@ -0,0 +1,198 @@
+'use strict';
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const {
+	parseGitTemplate,
+	pinGitTemplate,
+	fetchTemplate,
+	readTemplate,
+} = require('../util/templateFiles');
+const { setLogger } = require('../util/logger');
+const { setCommandSettings } = require('../util/command');
+const {
+	CommandError,
+	CommandTimeoutError,
+	TemplateError,
+} = require('../util/errors');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+const gitEnv = {
+	...process.env,
+	GIT_AUTHOR_NAME: 'make-babel',
+	GIT_AUTHOR_EMAIL: 'make-babel@example.com',
+	GIT_COMMITTER_NAME: 'make-babel',
+	GIT_COMMITTER_EMAIL: 'make-babel@example.com',
+};
+
+const git = (args, cwd) =>
+	execFileSync('git', args, { cwd, env: gitEnv, stdio: 'pipe' })
+		.toString()
+		.trim();
+
+const writeTemplate = (dir, version) => {
+	fs.outputJsonSync(path.join(dir, 'package.json'), {
+		name: 'cba-template-git',
+		version,
+	});
+	fs.outputFileSync(path.join(dir, 'template', 'src', 'index.js'), version);
+};
+
+// A bare repository, like one on a git host, whose main branch has the
+// template at its root and, since the v2.0.0 tag, also in templates/api.
+let fixturesDir;
+let repoUrl;
+let firstCommit;
+
+before(() => {
+	fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-test-'));
+	const workPath = path.join(fixturesDir, 'work');
+	const barePath = path.join(fixturesDir, 'templates.git');
+	fs.ensureDirSync(workPath);
+	git(['init', '--quiet', '--initial-branch', 'main'], workPath);
+	writeTemplate(workPath, '1.0.0');
+	git(['add', '-A'], workPath);
+	git(['commit', '--quiet', '-m', 'v1.0.0'], workPath);
+	firstCommit = git(['rev-parse', 'HEAD'], workPath);
+	writeTemplate(workPath, '2.0.0');
+	writeTemplate(path.join(workPath, 'templates', 'api'), '2.0.0-api');
+	git(['add', '-A'], workPath);
+	git(['commit', '--quiet', '-m', 'v2.0.0'], workPath);
+	git(['tag', 'v2.0.0'], workPath);
+	git(['clone', '--quiet', '--bare', workPath, barePath], fixturesDir);
+	repoUrl = `git+file://${barePath}`;
+});
+
+after(() => {
+	fs.removeSync(fixturesDir);
+});
+
+let tmpDir;
+let previousLogger;
+
+beforeEach(() => {
+	tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-test-'));
+	previousLogger = setLogger(silentLogger);
+});
+
+afterEach(() => {
+	setLogger(previousLogger);
+	fs.removeSync(tmpDir);
+});
+
+test('parses git shorthands and URLs with a ref and a subdirectory', () => {
+	assert.deepEqual(parseGitTemplate('github:org/templates#v1:api'), {
+		base: 'github:org/templates',
+		url: 'https://github.com/org/templates.git',
+		ref: 'v1',
+		subdir: 'api',
+	});
+	assert.deepEqual(parseGitTemplate('git+ssh://git@host.example:org/repo'), {
+		base: 'git+ssh://git@host.example:org/repo',
+		url: 'git@host.example:org/repo',
+		ref: '',
+		subdir: '',
+	});
+	assert.deepEqual(parseGitTemplate('git+file:///srv/repo.git#:api'), {
+		base: 'git+file:///srv/repo.git',
+		url: 'file:///srv/repo.git',
+		ref: '',
+		subdir: 'api',
+	});
+	assert.equal(parseGitTemplate('cba-template-api'), null);
+	assert.equal(parseGitTemplate('file:../template'), null);
+});
+
+test('pins a git template to a commit, keeping its subdirectory', () => {
+	assert.equal(
+		pinGitTemplate('github:org/templates#main:api', 'abc1234'),
+		'github:org/templates#abc1234:api'
+	);
+});
+
+test('clones the default branch', () => {
+	const templatePath = fetchTemplate(repoUrl, tmpDir);
+	assert.equal(
+		fs.readJsonSync(path.join(templatePath, 'package.json')).version,
+		'2.0.0'
+	);
+});
+
+test('clones a tag', () => {
+	const template = readTemplate(`${repoUrl}#v2.0.0`, tmpDir);
+	assert.equal(template.version, '2.0.0');
+	assert.match(template.commit, /^[0-9a-f]{40}$/);
+});
+
+test('checks out a commit', () => {
+	const template = readTemplate(`${repoUrl}#${firstCommit}`, tmpDir);
+	assert.equal(template.version, '1.0.0');
+	assert.equal(template.commit, firstCommit);
+	assert.equal(
+		fs.readFileSync(
+			path.join(template.templatePath, 'template', 'src', 'index.js'),
+			'utf8'
+		),
+		'1.0.0'
+	);
+});
+
+test('reads the template from a subdirectory', () => {
+	const template = readTemplate(`${repoUrl}#main:templates/api`, tmpDir);
+	assert.equal(template.version, '2.0.0-api');
+	assert.ok(
+		template.templatePath.endsWith(path.join('repo', 'templates', 'api'))
+	);
+});
+
+test('fails with a TemplateError when the subdirectory has no template', () => {
+	assert.throws(
+		() => fetchTemplate(`${repoUrl}#main:templates/missing`, tmpDir),
+		TemplateError
+	);
+});
+
+test('fails with a CommandError when the repository does not exist', () => {
+	assert.throws(
+		() =>
+			fetchTemplate(
+				`git+file://${path.join(fixturesDir, 'missing.git')}`,
+				tmpDir
+			),
+		(err) => err instanceof CommandError && /git clone/.test(err.command)
+	);
+});
+
+test('fails with a CommandError for a ref the repository does not have', () => {
+	assert.throws(
+		() => fetchTemplate(`${repoUrl}#no-such-branch`, tmpDir),
+		CommandError
+	);
+});
+
+test('fails with a CommandTimeoutError when the host does not answer', async () => {
+	// Accepts the connection, and never answers.
+	const sockets = [];
+	const server = net.createServer((socket) => sockets.push(socket));
+	await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+	const previousSettings = setCommandSettings({ installTimeout: 1 });
+	try {
+		assert.throws(
+			() =>
+				fetchTemplate(
+					`git+http://127.0.0.1:${server.address().port}/templates.git`,
+					tmpDir
+				),
+			(err) => err instanceof CommandTimeoutError && err.timeout === 1
+		);
+	} finally {
+		setCommandSettings(previousSettings);
+		sockets.forEach((socket) => socket.destroy());
+		server.close();
+	}
+});
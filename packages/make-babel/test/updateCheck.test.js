@@ -0,0 +1,143 @@
+'use strict';
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach } = require('node:test');
+const { checkForUpdate } = require('../util/updateCheck');
+const { setLogger } = require('../util/logger');
+const packageJson = require('../package.json');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// A stand-in for the registry, which answers the dist-tags request with
+// `latest`, or never answers with `hang`.
+const startRegistry = ({ latest, hang = false }) =>
+	new Promise((resolve) => {
+		const requests = [];
+		const server = http.createServer((req, res) => {
+			requests.push(req.url);
+			if (hang) {
+				return;
+			}
+			res.setHeader('content-type', 'application/json');
+			res.end(JSON.stringify({ latest }));
+		});
+		server.listen(0, '127.0.0.1', () => {
+			resolve({
+				url: `http://127.0.0.1:${server.address().port}`,
+				requests,
+				close: () => {
+					server.closeAllConnections();
+					server.close();
+				},
+			});
+		});
+	});
+
+const newerVersion = `${Number(packageJson.version.split('.')[0]) + 1}.0.0`;
+
+let cacheDir;
+let previousLogger;
+let registry;
+
+beforeEach(() => {
+	cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-test-'));
+	process.env.MAKE_BABEL_CACHE_DIR = cacheDir;
+	delete process.env.MAKE_BABEL_SKIP_UPDATE_CHECK;
+	previousLogger = setLogger(silentLogger);
+});
+
+afterEach(() => {
+	if (registry) {
+		registry.close();
+		registry = null;
+	}
+	setLogger(previousLogger);
+	delete process.env.MAKE_BABEL_CACHE_DIR;
+	fs.removeSync(cacheDir);
+});
+
+const cacheFile = () => path.join(cacheDir, 'update-check.json');
+
+test('asks the registry and caches the latest version on a cache miss', async () => {
+	registry = await startRegistry({ latest: newerVersion });
+	assert.equal(await checkForUpdate(registry.url), false);
+	assert.equal(registry.requests.length, 1);
+	assert.match(registry.requests[0], /\/-\/package\/.+\/dist-tags$/);
+	const cache = fs.readJsonSync(cacheFile());
+	assert.equal(cache.registry, registry.url);
+	assert.equal(cache.latest, newerVersion);
+});
+
+test('passes when the installed version is the latest', async () => {
+	registry = await startRegistry({ latest: packageJson.version });
+	assert.equal(await checkForUpdate(registry.url), true);
+});
+
+test('uses a fresh cache without asking the registry', async () => {
+	registry = await startRegistry({ latest: packageJson.version });
+	fs.outputJsonSync(cacheFile(), {
+		registry: registry.url,
+		latest: newerVersion,
+		checkedAt: Date.now(),
+	});
+	assert.equal(await checkForUpdate(registry.url), false);
+	assert.equal(registry.requests.length, 0);
+});
+
+test('asks the registry again once the cache is a day old', async () => {
+	registry = await startRegistry({ latest: packageJson.version });
+	fs.outputJsonSync(cacheFile(), {
+		registry: registry.url,
+		latest: newerVersion,
+		checkedAt: Date.now() - 25 * 60 * 60 * 1000,
+	});
+	assert.equal(await checkForUpdate(registry.url), true);
+	assert.equal(registry.requests.length, 1);
+});
+
+test('ignores the cache of another registry', async () => {
+	registry = await startRegistry({ latest: packageJson.version });
+	fs.outputJsonSync(cacheFile(), {
+		registry: 'https://registry.example.com',
+		latest: newerVersion,
+		checkedAt: Date.now(),
+	});
+	assert.equal(await checkForUpdate(registry.url), true);
+	assert.equal(registry.requests.length, 1);
+	assert.equal(fs.readJsonSync(cacheFile()).registry, registry.url);
+});
+
+test('reads the registry from npm_config_registry without an override', async () => {
+	registry = await startRegistry({ latest: newerVersion });
+	const previous = process.env.npm_config_registry;
+	process.env.npm_config_registry = registry.url;
+	try {
+		assert.equal(await checkForUpdate(), false);
+	} finally {
+		if (previous === undefined) {
+			delete process.env.npm_config_registry;
+		} else {
+			process.env.npm_config_registry = previous;
+		}
+	}
+	assert.equal(registry.requests.length, 1);
+});
+
+test('gives up on a registry that does not answer, without caching', async () => {
+	registry = await startRegistry({ hang: true });
+	const started = Date.now();
+	assert.equal(await checkForUpdate(registry.url), true);
+	assert.ok(Date.now() - started < 5000);
+	assert.equal(registry.requests.length, 1);
+	assert.equal(fs.existsSync(cacheFile()), false);
+});
+
+test('is skipped with MAKE_BABEL_SKIP_UPDATE_CHECK', async () => {
+	registry = await startRegistry({ latest: newerVersion });
+	process.env.MAKE_BABEL_SKIP_UPDATE_CHECK = '1';
+	assert.equal(await checkForUpdate(registry.url), true);
+	assert.equal(registry.requests.length, 0);
+});
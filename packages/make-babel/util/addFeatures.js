@@ -0,0 +1,185 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const verifyTypeScriptSetup = require('./verifyTypeScriptSetup');
+const { isBabelInstalled } = require('./index');
+const {
+	resolveFeatures,
+	getFeatureDependencies,
+	getFeatureBabelEntries,
+	mergeFeatureScripts,
+	renderFeatureFiles,
+} = require('./features');
+const {
+	readBabelConfig,
+	addBabelConfigEntries,
+	addRootModeUpward,
+} = require('./babelConfig');
+const {
+	getPackageManagerFromLockfile,
+	getPackageManagerFromUserAgent,
+} = require('./packageManager');
+const {
+	findWorkspace,
+	getPackageManagerFromWorkspace,
+} = require('./workspace');
+const {
+	getIndent,
+	toJson,
+	getPackageName,
+	printPlan,
+	applyPlan,
+} = require('./plan');
+const { logger, setLogger } = require('./logger');
+const { setCommandSettings } = require('./command');
+const { FeatureError } = require('./errors');
+
+// Works out what adding the features to the app at appPath changes, without
+// writing anything: the files with their current and new contents, and the
+// dependencies to install.
+const planFeatures = (appPath, names, packageManager) => {
+	const packageJsonPath = path.join(appPath, 'package.json');
+	const appPackage = fs.existsSync(packageJsonPath)
+		? fs.readJsonSync(packageJsonPath)
+		: null;
+	if (!appPackage || !isBabelInstalled(appPackage)) {
+		logger.error(
+			chalk.red(
+				`${chalk.green(appPath)} is not a make-babel project. Run ${chalk.cyan(
+					'make-babel add'
+				)} in a project created with make-babel.`
+			)
+		);
+		throw new FeatureError(`${appPath} is not a make-babel project`);
+	}
+	packageManager =
+		packageManager ||
+		getPackageManagerFromLockfile(appPath) ||
+		getPackageManagerFromWorkspace(appPath) ||
+		getPackageManagerFromUserAgent() ||
+		'npm';
+
+	const resolvedFeatures = resolveFeatures(names);
+	const nextPackage = mergeFeatureScripts(
+		JSON.parse(JSON.stringify(appPackage)),
+		resolvedFeatures
+	);
+	// An app created with --shared-babel-config gets the Babel presets and
+	// plugins in its workspace's babel.config.json.
+	const { sharedBabelConfig = false } = appPackage.makeBabel || {};
+	const workspace = sharedBabelConfig && findWorkspace(appPath);
+	if (sharedBabelConfig) {
+		addRootModeUpward(nextPackage.scripts);
+	}
+	const babelConfigPath = path.join(
+		workspace ? workspace.root : appPath,
+		'babel.config.json'
+	);
+	const babelConfig = readBabelConfig(babelConfigPath);
+	const nextBabelConfig = addBabelConfigEntries(
+		babelConfig,
+		getFeatureBabelEntries(resolvedFeatures)
+	);
+
+	// JSON files are only rewritten when their contents change.
+	const changes = [];
+	if (toJson(nextPackage) !== toJson(appPackage)) {
+		const before = fs.readFileSync(packageJsonPath, 'utf8');
+		changes.push({
+			file: 'package.json',
+			before,
+			after: toJson(nextPackage, getIndent(before)),
+		});
+	}
+	if (toJson(nextBabelConfig) !== toJson(babelConfig)) {
+		const before = fs.existsSync(babelConfigPath)
+			? fs.readFileSync(babelConfigPath, 'utf8')
+			: '';
+		changes.push({
+			file: path.relative(appPath, babelConfigPath),
+			before,
+			after: toJson(nextBabelConfig, getIndent(before)),
+		});
+	}
+	renderFeatureFiles(appPath, resolvedFeatures, {
+		appName: appPackage.name,
+		packageManager,
+		scripts: nextPackage.scripts || {},
+		usesTypeScript: fs.existsSync(path.join(appPath, 'tsconfig.json')),
+		sharedBabelConfig,
+	}).forEach(({ file, contents }) => {
+		changes.push({ file, before: '', after: contents });
+	});
+
+	// Packages the app already has are left at their current version.
+	const installed = Object.keys({
+		...appPackage.dependencies,
+		...appPackage.devDependencies,
+	});
+	const isMissing = (spec) => !installed.includes(getPackageName(spec));
+	const { dependencies, devDependencies } =
+		getFeatureDependencies(resolvedFeatures);
+
+	return {
+		appPath,
+		packageManager,
+		features: resolvedFeatures.map((feature) => feature.name),
+		changes,
+		dependencies: dependencies.filter(isMissing),
+		devDependencies: devDependencies.filter(isMissing),
+	};
+};
+
+// Writes the changes and installs the dependencies, rolling everything back
+// if that fails.
+const applyFeatures = async (plan, verbose = false) => {
+	await applyPlan(plan, verbose, () => {
+		if (plan.features.includes('typescript')) {
+			verifyTypeScriptSetup(plan.appPath);
+		}
+	});
+
+	logger.log();
+	logger.log(
+		`Success! Added ${plan.features
+			.map((feature) => chalk.cyan(feature))
+			.join(', ')} to ${plan.appPath}`
+	);
+};
+
+// The Node API for `make-babel add`. Adds the features to the make-babel app
+// in `appPath` (the working directory by default) without asking, or only
+// prints the diff with `dryRun`.
+const addFeatures = async (options = {}) => {
+	const {
+		features,
+		appPath = process.cwd(),
+		packageManager,
+		verbose = false,
+		dryRun = false,
+	} = options;
+	if (!Array.isArray(features) || !features.length) {
+		throw new TypeError('addFeatures: `features` must be a non-empty array');
+	}
+
+	const previousLogger = setLogger(options.logger);
+	const previousCommandSettings = setCommandSettings(options);
+	try {
+		const plan = planFeatures(path.resolve(appPath), features, packageManager);
+		printPlan(plan);
+		if (!dryRun) {
+			await applyFeatures(plan, verbose);
+		}
+		return plan;
+	} finally {
+		setCommandSettings(previousCommandSettings);
+		setLogger(previousLogger);
+	}
+};
+
+module.exports = {
+	planFeatures,
+	applyFeatures,
+	addFeatures,
+};
@@ -0,0 +1,374 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const verifyTypeScriptSetup = require('./verifyTypeScriptSetup');
+const {
+	getTemplateInstallPackage,
+	mergeTemplatePackage,
+	isBabelInstalled,
+} = require('./index');
+const {
+	resolveTemplateVariables,
+	readTemplate,
+	renderTemplate,
+	isSampleCode,
+	isDirectTemplate,
+} = require('./templateFiles');
+const {
+	getPackageManagerFromLockfile,
+	getPackageManagerFromUserAgent,
+} = require('./packageManager');
+const { getPackageManagerFromWorkspace } = require('./workspace');
+const { readBabelConfig, addBabelConfigEntries } = require('./babelConfig');
+const { gitignoreEntries, addGitignoreEntries } = require('./git');
+const {
+	getIndent,
+	toJson,
+	getPackageName,
+	printPlan,
+	applyPlan,
+} = require('./plan');
+const { logger, setLogger } = require('./logger');
+const { setCommandSettings } = require('./command');
+const { TemplateError, UnsafeDirectoryError } = require('./errors');
+
+// Any of these means the app already configures Babel its own way.
+const otherBabelConfigs = [
+	'.babelrc',
+	'.babelrc.json',
+	'.babelrc.js',
+	'.babelrc.cjs',
+	'.babelrc.mjs',
+	'babel.config.js',
+	'babel.config.cjs',
+	'babel.config.mjs',
+];
+
+const toPosixPath = (file) => file.split(path.sep).join('/');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readFile = (appPath, file) =>
+	fs.existsSync(path.join(appPath, file))
+		? fs.readFileSync(path.join(appPath, file), 'utf8')
+		: null;
+
+// Points the relative imports and requires of a file moved from `from` to
+// `to` back at the same files.
+const rewriteRelativeImports = (source, from, to) =>
+	source.replace(
+		/(\brequire\s*\(\s*|\bimport\s*\(\s*|\bfrom\s+|\bimport\s+)(['"])(\.{1,2}\/[^'"]*)\2/g,
+		(match, prefix, quote, specifier) => {
+			let moved = toPosixPath(
+				path.relative(
+					path.dirname(to),
+					path.join(path.dirname(from), specifier)
+				)
+			);
+			if (!moved.startsWith('.')) {
+				moved = `./${moved}`;
+			}
+			return `${prefix}${quote}${moved}${quote}`;
+		}
+	);
+
+// Works out what converting the Node project at appPath to the template's
+// setup changes, without writing anything. The project keeps its package.json
+// and code: the template's dependencies, scripts and config files are merged
+// in, and its sample code is left out.
+const planAdoption = async (appPath, options = {}) => {
+	const { template, variables, moveEntry = false, force = false } = options;
+	const fail = (message) => {
+		logger.error(chalk.red(message));
+		throw new TemplateError(message);
+	};
+
+	const packageJsonPath = path.join(appPath, 'package.json');
+	if (!fs.existsSync(packageJsonPath)) {
+		fail(
+			`${appPath} has no package.json. Run make-babel <project-directory> to create a new app instead.`
+		);
+	}
+	const appPackage = fs.readJsonSync(packageJsonPath);
+	if (appPackage.makeBabel && isBabelInstalled(appPackage)) {
+		fail(`${appPath} is already a make-babel app.`);
+	}
+	const packageManager =
+		options.packageManager ||
+		getPackageManagerFromLockfile(appPath) ||
+		getPackageManagerFromWorkspace(appPath) ||
+		getPackageManagerFromUserAgent() ||
+		'npm';
+
+	const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-'));
+	try {
+		const templateToInstall = await getTemplateInstallPackage(
+			template,
+			process.cwd()
+		);
+		const { templatePath, templateJson, name, version, commit } = readTemplate(
+			templateToInstall,
+			tmpDir
+		);
+		const templateVariables = resolveTemplateVariables(
+			templateJson,
+			appPackage.name,
+			variables
+		);
+		const files = renderTemplate(
+			{ templatePath, name, version },
+			templateVariables,
+			packageManager
+		);
+
+		const changes = [];
+		const conflicts = [];
+		const notes = [];
+		const change = (file, after) => {
+			changes.push({ file, before: readFile(appPath, file) || '', after });
+		};
+
+		// The entry point moves into src/, where the template's scripts expect
+		// it, only when asked.
+		const nextPackage = JSON.parse(JSON.stringify(appPackage));
+		const entry = path.normalize(appPackage.main || 'index.js');
+		let entryName = 'index.js';
+		if (isSampleCode(entry)) {
+			entryName = path.relative('src', entry);
+		} else if (moveEntry) {
+			const source = readFile(appPath, entry);
+			if (source === null) {
+				fail(
+					`Could not find the entry point ${entry}. Set "main" in package.json to the file to move.`
+				);
+			}
+			entryName = path.basename(entry);
+			const movedEntry = path.join('src', entryName);
+			if (readFile(appPath, movedEntry) !== null) {
+				conflicts.push(movedEntry);
+			}
+			changes.push({ file: entry, before: source, after: null });
+			change(movedEntry, rewriteRelativeImports(source, entry, movedEntry));
+			// The app's scripts run the compiled entry point from now on.
+			const compiledEntry = path.posix.join('dist', entryName);
+			const entryPattern = new RegExp(
+				`(^|\\s)(\\./)?${escapeRegExp(toPosixPath(entry))}(?=\\s|$)`,
+				'g'
+			);
+			Object.keys(nextPackage.scripts || {}).forEach((script) => {
+				nextPackage.scripts[script] = nextPackage.scripts[script].replace(
+					entryPattern,
+					`$1${compiledEntry}`
+				);
+			});
+			nextPackage.main = compiledEntry;
+		} else if (!fs.existsSync(path.join(appPath, 'src'))) {
+			notes.push(
+				`The scripts build src/, which doesn't exist. Move your code there, or run again with ${chalk.cyan(
+					'--move-entry'
+				)} to move ${entry}.`
+			);
+		}
+
+		// The template's dependencies, scripts and other package.json fields
+		// are added. The app's own win, unless forced.
+		const templatePackage = mergeTemplatePackage(
+			{},
+			templateJson.package || {},
+			packageManager
+		);
+		delete templatePackage.dependencies;
+		Object.keys(templatePackage.scripts).forEach((script) => {
+			templatePackage.scripts[script] = templatePackage.scripts[script].replace(
+				/\b(src|dist)\/index\.js\b/g,
+				`$1/${entryName}`
+			);
+		});
+		const merge = (target, values, describe) => {
+			Object.keys(values).forEach((key) => {
+				const current = JSON.stringify(target[key]);
+				const value = JSON.stringify(values[key]);
+				if (current === undefined || force) {
+					target[key] = values[key];
+				} else if (current !== value) {
+					notes.push(
+						`Kept your ${describe(
+							key
+						)}: ${current}. The template's is ${value}.`
+					);
+				}
+			});
+		};
+		const { scripts, ...fields } = templatePackage;
+		nextPackage.scripts = { ...nextPackage.scripts };
+		merge(nextPackage.scripts, scripts, (script) => `"${script}" script`);
+		merge(nextPackage, fields, (key) => `"${key}" in package.json`);
+		// Templates from git or a local directory are recorded as they were
+		// given, since they can't be installed by name.
+		nextPackage.makeBabel = {
+			template: isDirectTemplate(templateToInstall) ? templateToInstall : name,
+			templateVersion: version,
+			...(commit && { templateCommit: commit }),
+			variables: templateVariables,
+			adopted: true,
+		};
+		const before = fs.readFileSync(packageJsonPath, 'utf8');
+		changes.unshift({
+			file: 'package.json',
+			before,
+			after: toJson(nextPackage, getIndent(before)),
+		});
+
+		const installed = {
+			...appPackage.dependencies,
+			...appPackage.devDependencies,
+		};
+		const dependencies = [
+			'@babel/core',
+			'@babel/preset-env',
+			...Object.entries({
+				...(templateJson.package || {}).dependencies,
+				...(templateJson.package || {}).devDependencies,
+			}).map(([dependency, range]) => `${dependency}@${range}`),
+		].filter((spec) => installed[getPackageName(spec)] === undefined);
+
+		// Config files are merged into the app's own, the rest is copied.
+		const otherBabelConfig = otherBabelConfigs.find((file) =>
+			fs.existsSync(path.join(appPath, file))
+		);
+		Object.keys(files)
+			.filter((file) => !isSampleCode(file) && file !== '.gitignore')
+			.forEach((file) => {
+				const current = readFile(appPath, file);
+				if (file === 'babel.config.json') {
+					if (otherBabelConfig) {
+						notes.push(
+							`Kept ${otherBabelConfig}. Make sure it uses @babel/preset-env.`
+						);
+						return;
+					}
+					const config = readBabelConfig(path.join(appPath, file));
+					const templateConfig = JSON.parse(files[file]);
+					const nextConfig = addBabelConfigEntries(
+						{ ...templateConfig, ...config },
+						{
+							presets: templateConfig.presets,
+							plugins: templateConfig.plugins,
+						}
+					);
+					if (current === null || toJson(nextConfig) !== toJson(config)) {
+						change(file, toJson(nextConfig, getIndent(current || '')));
+					}
+				} else if (current === null) {
+					change(file, files[file]);
+				} else if (file !== 'README.md' && current !== String(files[file])) {
+					if (force) {
+						change(file, files[file]);
+					} else {
+						conflicts.push(file);
+					}
+				}
+			});
+
+		// The build output shouldn't be committed, whether or not the template
+		// has a .gitignore.
+		const gitignore = readFile(appPath, '.gitignore');
+		if (gitignore !== null || files['.gitignore'] !== undefined) {
+			const contents = addGitignoreEntries(gitignore || '', [
+				...String(files['.gitignore'] || '')
+					.split(/\r?\n/)
+					.map((line) => line.trim()),
+				...gitignoreEntries,
+			]);
+			if (contents !== gitignore) {
+				change('.gitignore', contents);
+			}
+		}
+
+		if (conflicts.length && !force) {
+			logger.log(
+				`Adopting ${chalk.cyan(name)} would overwrite these in ${chalk.green(
+					appPath
+				)}:`
+			);
+			logger.log();
+			conflicts.forEach((conflict) => logger.log(`  ${conflict}`));
+			logger.log();
+			logger.log(
+				`Change or remove them, or run again with ${chalk.cyan(
+					'--force'
+				)} to use the template's.`
+			);
+			throw new UnsafeDirectoryError(appPath);
+		}
+
+		return {
+			appPath,
+			packageManager,
+			template: `${name}@${version}`,
+			changes,
+			dependencies,
+			devDependencies: [],
+			notes,
+		};
+	} finally {
+		fs.removeSync(tmpDir);
+	}
+};
+
+// Writes the changes and installs the dependencies, rolling everything back
+// if that fails.
+const applyAdoption = async (plan, verbose = false) => {
+	await applyPlan(plan, verbose, () => {
+		if (fs.existsSync(path.join(plan.appPath, 'tsconfig.json'))) {
+			verifyTypeScriptSetup(plan.appPath);
+		}
+	});
+
+	logger.log();
+	logger.log(
+		`Success! ${plan.appPath} now uses ${chalk.cyan(
+			plan.template
+		)}. Your own scripts and files were kept.`
+	);
+	printAdoptionNotes(plan);
+};
+
+const printAdoptionNotes = (plan) => {
+	if (plan.notes.length) {
+		logger.log();
+		plan.notes.forEach((note) => logger.warn(chalk.yellow(note)));
+	}
+};
+
+// The Node API for `make-babel init --adopt`. Converts the Node project in
+// `appPath` (the working directory by default) without asking, or only prints
+// the diff with `dryRun`.
+const adoptProject = async (options = {}) => {
+	const { appPath = process.cwd(), verbose = false, dryRun = false } = options;
+
+	const previousLogger = setLogger(options.logger);
+	const previousCommandSettings = setCommandSettings(options);
+	try {
+		const plan = await planAdoption(path.resolve(appPath), options);
+		printPlan(plan);
+		if (dryRun) {
+			printAdoptionNotes(plan);
+		} else {
+			await applyAdoption(plan, verbose);
+		}
+		return plan;
+	} finally {
+		setCommandSettings(previousCommandSettings);
+		setLogger(previousLogger);
+	}
+};
+
+module.exports = {
+	planAdoption,
+	printAdoptionNotes,
+	applyAdoption,
+	adoptProject,
+};
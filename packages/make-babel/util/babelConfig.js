@@ -0,0 +1,205 @@
+'use strict';
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const { recordWrite } = require('./journal');
+
+const modulesOptions = ['commonjs', 'esm'];
+const polyfillsOptions = ['usage', 'entry', 'none'];
+
+const presetEnvNames = ['@babel/preset-env', '@babel/env'];
+
+// `node`, `node18` or `node18.12`.
+const isNodeTarget = (target) => /^node(\d+(\.\d+){0,2})?$/.test(target);
+
+// Whether any of the options that tailor babel.config.json were given.
+const hasBabelOptions = (babelOptions = {}) =>
+	Boolean(
+		babelOptions.target ||
+			babelOptions.browserslist ||
+			babelOptions.modules ||
+			babelOptions.polyfills
+	);
+
+// Returns a message for invalid options, or null.
+const validateBabelOptions = ({
+	target,
+	browserslist,
+	modules,
+	polyfills,
+	sharedBabelConfig,
+}) => {
+	if (
+		sharedBabelConfig &&
+		hasBabelOptions({ target, browserslist, modules, polyfills })
+	) {
+		return "`sharedBabelConfig` cannot be used with `target`, `browserslist`, `modules` or `polyfills`, which change the app's own babel.config.json";
+	}
+	if (target && browserslist) {
+		return '`target` and `browserslist` cannot be used together';
+	}
+	if (target && !isNodeTarget(target)) {
+		return `unknown \`target\` "${target}", expected e.g. node18 (use \`browserslist\` for browsers)`;
+	}
+	if (modules && !modulesOptions.includes(modules)) {
+		return `\`modules\` must be one of ${modulesOptions.join(', ')}`;
+	}
+	if (polyfills && !polyfillsOptions.includes(polyfills)) {
+		return `\`polyfills\` must be one of ${polyfillsOptions.join(', ')}`;
+	}
+	return null;
+};
+
+const usesCoreJs = (babelOptions = {}) =>
+	['usage', 'entry'].includes(babelOptions.polyfills);
+
+// preset-env wants the core-js version down to the minor, so that it knows
+// which polyfills are available.
+const getCoreJsVersion = (appPackage) => {
+	const version = semver.coerce(
+		(appPackage.dependencies || {})['core-js'] || ''
+	);
+	return version ? `${version.major}.${version.minor}` : '3';
+};
+
+// The @babel/preset-env options for the given CLI options.
+const getPresetEnvOptions = (babelOptions, coreJsVersion) => {
+	const { target, browserslist, modules, polyfills } = babelOptions;
+	const options = {};
+	if (target) {
+		options.targets = { node: target.replace(/^node/, '') || 'current' };
+	} else if (browserslist) {
+		options.targets = browserslist;
+	}
+	if (modules) {
+		options.modules = modules === 'esm' ? false : 'commonjs';
+	}
+	if (usesCoreJs(babelOptions)) {
+		options.useBuiltIns = polyfills;
+		options.corejs = coreJsVersion;
+	}
+	return options;
+};
+
+// Merges the options into the preset-env entry of config, adding the preset
+// if the config doesn't have it yet.
+const mergeBabelConfig = (config, babelOptions, coreJsVersion) => {
+	const presets = (config.presets || []).slice();
+	const index = presets.findIndex((preset) =>
+		presetEnvNames.includes(Array.isArray(preset) ? preset[0] : preset)
+	);
+	const current = index === -1 ? '@babel/preset-env' : presets[index];
+	const [name, currentOptions = {}] = Array.isArray(current)
+		? current
+		: [current];
+	const options = {
+		...currentOptions,
+		...getPresetEnvOptions(babelOptions, coreJsVersion),
+	};
+	if (babelOptions.polyfills === 'none') {
+		delete options.useBuiltIns;
+		delete options.corejs;
+	}
+	const preset = Object.keys(options).length ? [name, options] : name;
+	if (index === -1) {
+		presets.unshift(preset);
+	} else {
+		presets[index] = preset;
+	}
+	return { ...config, presets };
+};
+
+// `import 'core-js/stable'` has to come first in the entry point for
+// `useBuiltIns: 'entry'`. Returns the entry point it was added to, if any.
+const addCoreJsImport = (appPath) => {
+	const entry = ['src/index.js', 'src/index.ts']
+		.map((file) => path.join(appPath, file))
+		.find((file) => fs.existsSync(file));
+	if (!entry) {
+		return null;
+	}
+	const source = fs.readFileSync(entry, 'utf8');
+	if (source.includes('core-js/stable')) {
+		return entry;
+	}
+	recordWrite(entry);
+	fs.writeFileSync(entry, `import 'core-js/stable';${os.EOL}${source}`);
+	return entry;
+};
+
+const readBabelConfig = (configPath) =>
+	fs.existsSync(configPath) ? fs.readJsonSync(configPath) : { presets: [] };
+
+const writeJson = (filePath, object) => {
+	recordWrite(filePath);
+	fs.writeFileSync(filePath, JSON.stringify(object, null, 2) + os.EOL);
+};
+
+// Tailors the app's babel.config.json (the template's, or a new one) to the
+// target, module format and polyfills that were asked for.
+const writeBabelConfig = (appPath, appPackage, babelOptions) => {
+	const configPath = path.join(appPath, 'babel.config.json');
+	writeJson(
+		configPath,
+		mergeBabelConfig(
+			readBabelConfig(configPath),
+			babelOptions,
+			getCoreJsVersion(appPackage)
+		)
+	);
+};
+
+const getName = (entry) => (Array.isArray(entry) ? entry[0] : entry);
+
+// Adds presets and plugins, with or without options, to config, skipping
+// those it already uses.
+const addBabelConfigEntries = (config, { presets = [], plugins = [] }) => {
+	const add = (key, entries) => {
+		const current = (config[key] || []).map(getName);
+		const missing = entries.filter(
+			(entry) => !current.includes(getName(entry))
+		);
+		return missing.length
+			? { [key]: [...(config[key] || []), ...missing] }
+			: {};
+	};
+	return { ...config, ...add('presets', presets), ...add('plugins', plugins) };
+};
+
+// Adds presets and plugins to the app's babel.config.json.
+const addBabelPresetsAndPlugins = (appPath, entries) => {
+	const configPath = path.join(appPath, 'babel.config.json');
+	const config = readBabelConfig(configPath);
+	const nextConfig = addBabelConfigEntries(config, entries);
+	if (JSON.stringify(nextConfig) !== JSON.stringify(config)) {
+		writeJson(configPath, nextConfig);
+	}
+};
+
+// Babel only finds a babel.config.json in the working directory, so an app
+// sharing the one at the root of its workspace has to send it looking there.
+const addRootModeUpward = (scripts = {}) => {
+	Object.keys(scripts).forEach((name) => {
+		scripts[name] = scripts[name].replace(
+			/\bbabel(-node)? (?!.*--root-mode)/g,
+			'babel$1 --root-mode upward '
+		);
+	});
+	return scripts;
+};
+
+module.exports = {
+	modulesOptions,
+	polyfillsOptions,
+	hasBabelOptions,
+	validateBabelOptions,
+	usesCoreJs,
+	mergeBabelConfig,
+	addCoreJsImport,
+	writeBabelConfig,
+	readBabelConfig,
+	addBabelConfigEntries,
+	addBabelPresetsAndPlugins,
+	addRootModeUpward,
+};
@@ -0,0 +1,275 @@
+'use strict';
+const chalk = require('chalk');
+const spawn = require('cross-spawn');
+const { logger, getOutputStream } = require('./logger');
+const {
+	CommandError,
+	CommandTimeoutError,
+	CancelledError,
+} = require('./errors');
+
+// Runs the package manager commands that can take a while, i.e. installs,
+// without blocking, so that they can time out, be retried or be cancelled.
+//
+// Like the logger, the settings are module-wide, and named like the Node API
+// options they come from. `installTimeout` is in seconds, 0 for none.
+// `installRetries` is how many times a command that timed out or failed with
+// what looks like a network error is run again. `signal` is an AbortSignal
+// that cancels the command. `registry`, if set, is the registry the package
+// managers install from instead of the one in their config.
+let settings = {
+	installTimeout: 0,
+	installRetries: 2,
+	signal: null,
+	registry: null,
+};
+
+// Returns the previous settings, so they can be restored afterwards.
+const setCommandSettings = ({
+	installTimeout = 0,
+	installRetries = 2,
+	signal = null,
+	registry = null,
+} = {}) => {
+	const previousSettings = settings;
+	settings = { installTimeout, installRetries, signal, registry };
+	return previousSettings;
+};
+
+const getCommandSettings = () => settings;
+
+// The environment for package manager commands, including the short ones
+// that don't go through runCommand. npm, Yarn 1 and pnpm read the registry
+// from npm_config_registry, Yarn Berry and Bun from their own variables.
+const getCommandEnv = () =>
+	settings.registry
+		? {
+				...process.env,
+				npm_config_registry: settings.registry,
+				YARN_NPM_REGISTRY_SERVER: settings.registry,
+				BUN_CONFIG_REGISTRY: settings.registry,
+		  }
+		: process.env;
+
+const networkErrorPattern =
+	/\b(ECONNRESET|ECONNREFUSED|ETIMEDOUT|ESOCKETTIMEDOUT|EAI_AGAIN|ENOTFOUND|ENETUNREACH|EHOSTUNREACH|ERR_SOCKET_TIMEOUT)\b|socket hang up|network connection|fetch failed/i;
+
+// The first retry waits a second, then the wait doubles.
+const retryDelay = 1000;
+
+// Only the end of the output is kept, to show when a command fails.
+const maxOutputLength = 20000;
+
+// In a terminal, a spinner stands in for the output unless it is verbose.
+// Elsewhere, e.g. in CI, the output is passed through, with a line now and
+// then to show the command is still running.
+const spinnerFrames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const heartbeatInterval = 30000;
+
+const formatDuration = (ms) => {
+	const seconds = Math.round(ms / 1000);
+	return seconds < 60
+		? `${seconds}s`
+		: `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const startProgress = (label, verbose) => {
+	const startedAt = Date.now();
+	const output = getOutputStream();
+	if (verbose || !output.isTTY) {
+		const timer = verbose
+			? null
+			: setInterval(() => {
+					logger.log(
+						`Still running ${chalk.cyan(label)} (${formatDuration(
+							Date.now() - startedAt
+						)})...`
+					);
+			  }, heartbeatInterval);
+		return {
+			streaming: true,
+			update: () => {},
+			stop: () => clearInterval(timer),
+		};
+	}
+
+	let frame = 0;
+	let lastLine = '';
+	const render = () => {
+		frame = (frame + 1) % spinnerFrames.length;
+		const elapsed = formatDuration(Date.now() - startedAt);
+		// The line has to fit the terminal, or \r can't overwrite it.
+		const room = (output.columns || 80) - label.length - 12;
+		output.write(
+			`\r\x1b[K${chalk.cyan(spinnerFrames[frame])} ${label} ${chalk.dim(
+				`${elapsed} ${lastLine.slice(0, Math.max(room, 0))}`
+			)}`
+		);
+	};
+	const timer = setInterval(render, 100);
+	return {
+		streaming: false,
+		update: (data) => {
+			const lines = data
+				.toString()
+				// Without the colors, which would throw off the width.
+				.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+				.trim()
+				.split(/[\r\n]+/);
+			lastLine = lines[lines.length - 1];
+		},
+		stop: () => {
+			clearInterval(timer);
+			output.write('\r\x1b[K');
+		},
+	};
+};
+
+// The command that is running, so that it can be cancelled.
+let running = null;
+
+const runOnce = (command, args, { cwd, verbose }) => {
+	const commandLine = [command, ...args].join(' ');
+	return new Promise((resolve, reject) => {
+		const child = spawn(command, args, {
+			cwd,
+			env: getCommandEnv(),
+			stdio: ['inherit', 'pipe', 'pipe'],
+		});
+		const progress = startProgress(commandLine, verbose);
+		let output = '';
+		const onData = (stream) => (data) => {
+			output = (output + data).slice(-maxOutputLength);
+			if (progress.streaming) {
+				stream.write(data);
+			} else {
+				progress.update(data);
+			}
+		};
+		child.stdout.on('data', onData(getOutputStream()));
+		child.stderr.on('data', onData(process.stderr));
+
+		let stopReason = null;
+		let killTimer = null;
+		const stop = (reason) => {
+			stopReason = reason;
+			child.kill('SIGTERM');
+			killTimer = setTimeout(() => child.kill('SIGKILL'), 5000);
+		};
+		const { installTimeout, signal } = settings;
+		const timeoutTimer = installTimeout
+			? setTimeout(() => stop('timeout'), installTimeout * 1000)
+			: null;
+		const onAbort = () => stop('abort');
+		if (signal) {
+			signal.addEventListener('abort', onAbort);
+		}
+		const exitListeners = [];
+		running = {
+			cancel: (reason) =>
+				new Promise((resolveCancel) => {
+					exitListeners.push(resolveCancel);
+					stop(reason);
+				}),
+		};
+
+		let failedToStart = null;
+		child.on('error', (err) => {
+			failedToStart = err;
+		});
+		child.on('close', (code) => {
+			clearTimeout(timeoutTimer);
+			clearTimeout(killTimer);
+			if (signal) {
+				signal.removeEventListener('abort', onAbort);
+			}
+			progress.stop();
+			running = null;
+			// Whoever cancelled the command hears about it first.
+			exitListeners.forEach((listener) => listener());
+
+			if (stopReason === 'timeout') {
+				reject(new CommandTimeoutError(commandLine, installTimeout));
+			} else if (stopReason) {
+				reject(new CancelledError(stopReason));
+			} else if (failedToStart || code !== 0) {
+				if (!progress.streaming) {
+					process.stderr.write(output);
+				}
+				const error = new CommandError(commandLine);
+				error.output = failedToStart ? failedToStart.message : output;
+				reject(error);
+			} else {
+				resolve();
+			}
+		});
+	});
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs the command, retrying it after network errors and timeouts. Rejects
+// with a CommandError, CommandTimeoutError or CancelledError.
+const runCommand = async (
+	command,
+	args,
+	{ cwd = process.cwd(), verbose = false } = {}
+) => {
+	const commandLine = [command, ...args].join(' ');
+	const startedAt = Date.now();
+	logger.event('install-started', { command: commandLine, cwd });
+	for (let attempt = 0; ; attempt++) {
+		if (settings.signal && settings.signal.aborted) {
+			throw new CancelledError('abort');
+		}
+		try {
+			await runOnce(command, args, { cwd, verbose });
+			logger.event('install-finished', {
+				command: commandLine,
+				duration: Date.now() - startedAt,
+			});
+			return;
+		} catch (err) {
+			const isRetriable =
+				err instanceof CommandTimeoutError ||
+				(err instanceof CommandError && networkErrorPattern.test(err.output));
+			if (!isRetriable || attempt >= settings.installRetries) {
+				logger.event('install-failed', {
+					command: commandLine,
+					code: err.code,
+					message: err.message,
+				});
+				throw err;
+			}
+			const delay = retryDelay * 2 ** attempt;
+			logger.event('install-retry', {
+				command: commandLine,
+				code: err.code,
+				attempt: attempt + 1,
+				retries: settings.installRetries,
+				delay,
+			});
+			logger.warn(
+				chalk.yellow(
+					`${err.message}. Retrying in ${formatDuration(delay)} (${
+						attempt + 1
+					} of ${settings.installRetries})...`
+				)
+			);
+			await sleep(delay);
+		}
+	}
+};
+
+// Stops the running command, if any. Resolves with true once it has exited,
+// or with false right away if nothing was running.
+const cancelCommand = (signal) =>
+	running ? running.cancel(signal).then(() => true) : Promise.resolve(false);
+
+module.exports = {
+	setCommandSettings,
+	getCommandSettings,
+	getCommandEnv,
+	runCommand,
+	cancelCommand,
+};
@@ -0,0 +1,206 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { isPackageManager, packageManagerNames } = require('./packageManager');
+const { resolveTemplateFrom } = require('./templateCatalog');
+const { logger } = require('./logger');
+const { ConfigError } = require('./errors');
+
+// Defaults for creating an app are read from ~/.make-babelrc, then the
+// nearest make-babel.config.json, then `--config <file>`, each overriding the
+// one before. All three are JSON, with the options named like the Node API
+// ones, and can define named presets:
+//
+//   {
+//     "packageManager": "pnpm",
+//     "git": false,
+//     "presets": {
+//       "backend-service": { "template": "ts", "features": ["jest", "eslint"] }
+//     }
+//   }
+//
+// A preset overrides the files' defaults, and the command line overrides both.
+const userConfigName = '.make-babelrc';
+const projectConfigName = 'make-babel.config.json';
+
+// The options a config file or preset can set, and their types.
+const configOptions = {
+	template: 'string',
+	packageManager: 'string',
+	features: 'array',
+	target: 'string',
+	browserslist: 'string',
+	modules: 'string',
+	polyfills: 'string',
+	sharedBabelConfig: 'boolean',
+	registry: 'string',
+	git: 'boolean',
+	variables: 'object',
+	installTimeout: 'number',
+	installRetries: 'number',
+	pnp: 'boolean',
+	verbose: 'boolean',
+};
+
+const fail = (file, message) => {
+	logger.error(chalk.red(message));
+	throw new ConfigError(file, message);
+};
+
+const getType = (value) => {
+	if (Array.isArray(value)) {
+		return 'array';
+	}
+	return value === null ? 'null' : typeof value;
+};
+
+// Checks the options of a file or one of its presets, and resolves a relative
+// template path from the file's directory.
+const readOptions = (file, values, where) => {
+	const options = {};
+	Object.keys(values).forEach((key) => {
+		const value = values[key];
+		if (!configOptions[key]) {
+			fail(
+				file,
+				`Unknown option "${key}" ${where}. Expected one of ${Object.keys(
+					configOptions
+				).join(', ')}.`
+			);
+		}
+		// `"features": "jest,eslint"` reads like the command line.
+		const normalized =
+			key === 'features' && typeof value === 'string'
+				? value
+						.split(',')
+						.map((feature) => feature.trim())
+						.filter(Boolean)
+				: value;
+		if (getType(normalized) !== configOptions[key]) {
+			fail(
+				file,
+				`"${key}" ${where} must be a${
+					configOptions[key] === 'array' ? 'n' : ''
+				} ${configOptions[key]}.`
+			);
+		}
+		// createProject takes whole numbers only, e.g. no 2.5 retries.
+		if (
+			configOptions[key] === 'number' &&
+			!(Number.isInteger(value) && value >= 0)
+		) {
+			fail(file, `"${key}" ${where} must be a whole number of at least 0.`);
+		}
+		if (key === 'packageManager' && !isPackageManager(value)) {
+			fail(
+				file,
+				`"packageManager" ${where} must be one of ${packageManagerNames.join(
+					', '
+				)}.`
+			);
+		}
+		options[key] =
+			key === 'template'
+				? resolveTemplateFrom(value, path.dirname(file))
+				: normalized;
+	});
+	return options;
+};
+
+const readConfigFile = (file) => {
+	let config;
+	try {
+		config = fs.readJsonSync(file);
+	} catch (err) {
+		fail(file, `Could not read the config file ${file}: ${err.message}`);
+	}
+	if (getType(config) !== 'object') {
+		fail(file, `The config file ${file} must contain a JSON object.`);
+	}
+	const { presets = {}, ...values } = config;
+	if (getType(presets) !== 'object') {
+		fail(file, `"presets" in ${file} must be an object.`);
+	}
+	return {
+		options: readOptions(file, values, `in ${file}`),
+		presets: Object.keys(presets).reduce((result, name) => {
+			if (getType(presets[name]) !== 'object') {
+				fail(file, `The preset "${name}" in ${file} must be an object.`);
+			}
+			result[name] = readOptions(
+				file,
+				presets[name],
+				`in the preset "${name}" in ${file}`
+			);
+			return result;
+		}, {}),
+	};
+};
+
+const findProjectConfig = (dir) => {
+	for (;;) {
+		const file = path.join(dir, projectConfigName);
+		if (fs.existsSync(file)) {
+			return file;
+		}
+		if (dir === path.dirname(dir)) {
+			return null;
+		}
+		dir = path.dirname(dir);
+	}
+};
+
+// Later options win, except that template variables are merged.
+const mergeOptions = (...sources) =>
+	sources.reduce(
+		(result, options) => ({
+			...result,
+			...options,
+			...((result.variables || options.variables) && {
+				variables: { ...result.variables, ...options.variables },
+			}),
+		}),
+		{}
+	);
+
+// Reads the config files and applies the preset, if one is named. Returns the
+// merged `options` and the `files` they were read from.
+const loadConfig = ({ cwd = process.cwd(), config, preset } = {}) => {
+	const userConfig = path.join(os.homedir(), userConfigName);
+	const files = [
+		fs.existsSync(userConfig) ? userConfig : null,
+		findProjectConfig(path.resolve(cwd)),
+	].filter(Boolean);
+	if (config) {
+		const configPath = path.resolve(cwd, config);
+		if (!fs.existsSync(configPath)) {
+			fail(configPath, `The config file ${configPath} does not exist.`);
+		}
+		files.push(configPath);
+	}
+
+	const configs = files.map(readConfigFile);
+	const presets = Object.assign({}, ...configs.map((file) => file.presets));
+	if (preset && !presets[preset]) {
+		const names = Object.keys(presets);
+		fail(
+			files[files.length - 1] || null,
+			names.length
+				? `Unknown preset "${preset}". Expected one of ${names.join(', ')}.`
+				: `Unknown preset "${preset}". No config file defines presets.`
+		);
+	}
+	return {
+		options: mergeOptions(
+			...configs.map((file) => file.options),
+			preset ? presets[preset] : {}
+		),
+		files,
+	};
+};
+
+module.exports = {
+	loadConfig,
+};
@@ -0,0 +1,461 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const {
+	resolveTemplate,
+	run,
+	runPackageManager,
+	checkAppName,
+	isSafeToCreateProjectIn,
+	canNpmReadCWD,
+	checkNpmVersion,
+	checkYarnVersion,
+	checkPnpmVersion,
+	checkBunVersion,
+} = require('./index');
+const {
+	getPackageManager,
+	isPackageManager,
+	lockfiles,
+} = require('./packageManager');
+const printDryRun = require('./dryRun');
+const { validateBabelOptions } = require('./babelConfig');
+const { resolveFeatures } = require('./features');
+const { writeYarnBerryFiles } = require('./yarnBerry');
+const { checkTemplateEngines } = require('./engines');
+const { findWorkspace, addToWorkspace } = require('./workspace');
+const { logger, setLogger } = require('./logger');
+const { setCommandSettings, cancelCommand } = require('./command');
+const {
+	startJournal,
+	recordWrite,
+	rollback,
+	clearJournal,
+	isJournaling,
+} = require('./journal');
+const {
+	UnsafeDirectoryError,
+	NpmCwdError,
+	PackageManagerError,
+	CancelledError,
+} = require('./errors');
+
+// Makes sure Yarn, pnpm or Bun is installed before anything is written, and
+// warns when npm is too old. Resolves `yarn` to `berry` for Yarn 2+, and
+// turns off Plug'n'Play where it isn't supported.
+const checkPackageManager = (packageManager, usePnp) => {
+	const { displayName } = getPackageManager(packageManager);
+	let version = null;
+	let minVersion = null;
+	if (packageManager === 'npm') {
+		const npmInfo = checkNpmVersion();
+		// npm reports its own failures once it runs.
+		version = npmInfo.npmVersion || 'unknown';
+		if (!npmInfo.hasMinNpm) {
+			if (npmInfo.npmVersion) {
+				logger.log(
+					chalk.yellow(
+						`You are using npm ${npmInfo.npmVersion} so the project will be bootstrapped with an old unsupported version of tools.\n\n` +
+							`Please update to npm 6 or higher for a better, fully supported experience.\n`
+					)
+				);
+			}
+		}
+	} else if (packageManager === 'yarn') {
+		const yarnInfo = checkYarnVersion();
+		version = yarnInfo.yarnVersion;
+		if (version && !yarnInfo.hasMaxYarnPnp) {
+			packageManager = 'berry';
+		} else if (version && usePnp && !yarnInfo.hasMinYarnPnp) {
+			logger.log(
+				chalk.yellow(
+					`You are using Yarn ${version} together with the --pnp flag, but Plug'n'Play is only supported starting from the 1.12 release.\n\n` +
+						`Please update to Yarn 1.12 or higher for a better, fully supported experience.\n`
+				)
+			);
+			usePnp = false;
+		}
+	} else if (packageManager === 'pnpm') {
+		const pnpmInfo = checkPnpmVersion();
+		version = pnpmInfo.pnpmVersion;
+		minVersion = pnpmInfo.hasMinPnpm ? null : '6';
+	} else if (packageManager === 'bun') {
+		const bunInfo = checkBunVersion();
+		version = bunInfo.bunVersion;
+		minVersion = bunInfo.hasMinBun ? null : '1';
+	}
+
+	if (!version) {
+		logger.error(
+			chalk.red(
+				`${displayName} was requested, but it could not be found. Please install it, or pick another package manager.`
+			)
+		);
+		throw new PackageManagerError(
+			packageManager,
+			`${displayName} is not installed`
+		);
+	}
+	if (minVersion) {
+		logger.error(
+			chalk.red(
+				`You are using ${displayName} ${version}. Please update to ${displayName} ${minVersion} or higher.`
+			)
+		);
+		throw new PackageManagerError(
+			packageManager,
+			`${displayName} ${version} is not supported`
+		);
+	}
+	if (usePnp && !['yarn', 'berry'].includes(packageManager)) {
+		logger.log(
+			chalk.yellow(
+				`Plug'n'Play is only supported with Yarn, ignoring --pnp for ${displayName}.\n`
+			)
+		);
+		usePnp = false;
+	}
+
+	return { packageManager, version, usePnp };
+};
+
+const createApp = async (
+	name,
+	verbose,
+	template,
+	packageManager,
+	dryRun,
+	variables,
+	usePnp,
+	useGit,
+	babelOptions,
+	features,
+	tmpDir
+) => {
+	const unsupportedNodeVersion = !semver.satisfies(
+		semver.coerce(process.version),
+		'>=12'
+	);
+
+	if (unsupportedNodeVersion) {
+		logger.log(
+			chalk.yellow(
+				'Unsupported Node version. Please upgrade to Node 12 or higher for a better experience.'
+			)
+		);
+	}
+	const root = path.resolve(name);
+	const appName = path.basename(root);
+
+	checkAppName(appName);
+	// Conflicts between the features are caught before anything is written.
+	resolveFeatures(features);
+
+	// Inside a workspace, the app becomes one of its packages, installed by the
+	// workspace's package manager from the root.
+	const workspace = findWorkspace(root);
+	if (workspace) {
+		const workspacePackageManager =
+			workspace.packageManager === 'berry' ? 'yarn' : workspace.packageManager;
+		if (
+			workspacePackageManager &&
+			workspacePackageManager !==
+				(packageManager === 'berry' ? 'yarn' : packageManager)
+		) {
+			logger.log(
+				chalk.yellow(
+					`The workspace at ${workspace.root} uses ${
+						getPackageManager(workspacePackageManager).displayName
+					}, so the app is installed with it instead of ${
+						getPackageManager(packageManager).displayName
+					}.\n`
+				)
+			);
+			packageManager = workspacePackageManager;
+		}
+		// The workspace is the repository, not each of its packages.
+		useGit = false;
+	}
+	if (
+		babelOptions.sharedBabelConfig &&
+		!(
+			workspace && fs.existsSync(path.join(workspace.root, 'babel.config.json'))
+		)
+	) {
+		logger.log(
+			chalk.yellow(
+				'There is no babel.config.json at the root of a workspace to share, so the app gets its own.\n'
+			)
+		);
+		babelOptions = { ...babelOptions, sharedBabelConfig: false };
+	}
+
+	const packageManagerInfo = checkPackageManager(packageManager, usePnp);
+	packageManager = packageManagerInfo.packageManager;
+	usePnp = packageManagerInfo.usePnp;
+
+	// The template has to work with this Node, package manager and
+	// make-babel, which is checked before anything is written.
+	const resolvedTemplate = await resolveTemplate(
+		template,
+		process.cwd(),
+		tmpDir
+	);
+	if (resolvedTemplate.manifest) {
+		checkTemplateEngines(
+			resolvedTemplate.manifest,
+			packageManager,
+			packageManagerInfo.version
+		);
+	}
+	const validated = {
+		appName,
+		appPath: root,
+		packageManager,
+		workspace: workspace ? workspace.root : null,
+	};
+	if (dryRun) {
+		logger.event('validated', validated);
+		try {
+			await printDryRun(
+				root,
+				appName,
+				verbose,
+				process.cwd(),
+				resolvedTemplate,
+				packageManager,
+				variables,
+				usePnp,
+				useGit,
+				babelOptions,
+				features
+			);
+		} catch (reason) {
+			logger.log();
+			if (reason.command) {
+				logger.log(`  ${chalk.cyan(reason.command)} has failed.`);
+			}
+			throw reason;
+		}
+		return { appPath: root, appName, dryRun: true };
+	}
+	startJournal(root);
+	fs.ensureDirSync(root);
+	if (!isSafeToCreateProjectIn(root, appName)) {
+		throw new UnsafeDirectoryError(root);
+	}
+	logger.event('validated', validated);
+	logger.log(
+		`Using ${chalk.green(getPackageManager(packageManager).displayName)}`
+	);
+	logger.log(`\nCreating a new Babel App in ${chalk.green(root)}.\n`);
+
+	const packageJson = {
+		name: appName,
+		version: '1.0.0',
+		private: true,
+	};
+	// A workspace package shares the root's Yarn setup and lockfile.
+	if (packageManager === 'berry' && !workspace) {
+		packageJson.packageManager = `yarn@${packageManagerInfo.version}`;
+		writeYarnBerryFiles(root, usePnp);
+	}
+	recordWrite(path.join(root, 'package.json'));
+	fs.writeFileSync(
+		path.join(root, 'package.json'),
+		JSON.stringify(packageJson, null, 2) + os.EOL
+	);
+	if (workspace) {
+		addToWorkspace(workspace, root);
+		// The installs update the root's lockfile, which is restored on failure.
+		lockfiles.forEach((lockfile) => {
+			recordWrite(path.join(workspace.root, lockfile));
+		});
+	}
+
+	const originalDirectory = process.cwd();
+	process.chdir(root);
+	if (packageManager === 'npm' && !canNpmReadCWD()) {
+		throw new NpmCwdError(root);
+	}
+	if (workspace && packageManager === 'npm') {
+		// The first install after a package joins the workspace only links it,
+		// without adding the packages it is asked for.
+		await runPackageManager(
+			packageManager,
+			'npm',
+			['install', '--no-audit'],
+			root,
+			verbose
+		);
+	}
+
+	return run(
+		root,
+		appName,
+		verbose,
+		originalDirectory,
+		resolvedTemplate,
+		packageManager,
+		variables,
+		usePnp,
+		useGit,
+		babelOptions,
+		features
+	);
+};
+
+// Undoes the changes made to the project directory so far, or leaves them in
+// place for debugging.
+const abort = (keepOnFailure) => {
+	if (!isJournaling()) {
+		return;
+	}
+	if (keepOnFailure) {
+		logger.log(
+			`Keeping the partially created project for debugging (${chalk.cyan(
+				'--keep-on-failure'
+			)}).`
+		);
+		clearJournal();
+		return;
+	}
+	rollback();
+	logger.log('Done.');
+};
+
+// The Node API. Resolves with a summary of the created project, or rejects
+// with one of the errors from `./errors`. Progress goes to `options.logger`
+// (the console by default), and so do the events of `--json` if it has an
+// `event` method. Package manager output goes to its `stream`, or stdout.
+//
+// Installs give up after `installTimeout` seconds, if set, and are retried
+// `installRetries` times (2 by default) when they time out or hit a network
+// error. Aborting `signal` cancels the install that is running. The template
+// and the packages are installed from `registry`, if set, instead of the
+// package manager's.
+//
+// Inside an npm, Yarn, pnpm or Bun workspace, the project is added to it and
+// installed through its root. With `sharedBabelConfig`, it uses the
+// babel.config.json at the root of the workspace instead of its own.
+//
+// Everything written to the project directory is journaled, and undone if
+// creating the project fails or is interrupted, unless `keepOnFailure` is set.
+// That includes the workspace's package list and lockfile.
+//
+// The working directory is changed while the project is created, so only one
+// project can be created at a time.
+const createProject = async (options = {}) => {
+	const {
+		name,
+		verbose = false,
+		template,
+		packageManager = 'npm',
+		dryRun = false,
+		variables = {},
+		pnp = false,
+		keepOnFailure = false,
+		git = true,
+		target,
+		browserslist,
+		modules,
+		polyfills,
+		sharedBabelConfig = false,
+		features = [],
+	} = options;
+	if (typeof name !== 'string' || !name) {
+		throw new TypeError('createProject: `name` must be a non-empty string');
+	}
+	if (!isPackageManager(packageManager)) {
+		throw new TypeError(
+			`createProject: unknown \`packageManager\` "${packageManager}"`
+		);
+	}
+	['installTimeout', 'installRetries'].forEach((option) => {
+		const value = options[option];
+		if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+			throw new TypeError(
+				`createProject: \`${option}\` must be a whole number of at least 0`
+			);
+		}
+	});
+	const babelOptions = {
+		target,
+		browserslist,
+		modules,
+		polyfills,
+		sharedBabelConfig,
+	};
+	const babelOptionsProblem = validateBabelOptions(babelOptions);
+	if (babelOptionsProblem) {
+		throw new TypeError(`createProject: ${babelOptionsProblem}`);
+	}
+
+	const previousLogger = setLogger(options.logger);
+	const previousCommandSettings = setCommandSettings(options);
+	const originalDirectory = process.cwd();
+	// Where templates from git are cloned to, and npm packages unpacked for a
+	// dry run.
+	const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-'));
+	// A signal can end the process before the failed install is caught, so
+	// whichever comes first reports the failure.
+	let reported = false;
+	const reportFailure = (reason) => {
+		if (!reported) {
+			reported = true;
+			logger.event('error', {
+				code: reason.code || null,
+				message: reason.message,
+				...(reason.command && { command: reason.command }),
+			});
+		}
+	};
+	const onSignal = async (signal) => {
+		logger.log();
+		logger.log(chalk.yellow(`Received ${signal}, aborting.`));
+		// The package manager is stopped before its files are rolled back.
+		await cancelCommand(signal);
+		abort(keepOnFailure);
+		// Leave exiting to the host if it listens for the signal itself.
+		if (process.listenerCount(signal) === 1) {
+			reportFailure(new CancelledError(signal));
+			process.exit(signal === 'SIGINT' ? 130 : 143);
+		}
+	};
+	process.on('SIGINT', onSignal);
+	process.on('SIGTERM', onSignal);
+	try {
+		const result = await createApp(
+			name,
+			verbose,
+			template,
+			packageManager,
+			dryRun,
+			variables,
+			pnp,
+			git,
+			babelOptions,
+			features,
+			tmpDir
+		);
+		clearJournal();
+		logger.event('done', result);
+		return result;
+	} catch (reason) {
+		abort(keepOnFailure);
+		reportFailure(reason);
+		throw reason;
+	} finally {
+		process.removeListener('SIGINT', onSignal);
+		process.removeListener('SIGTERM', onSignal);
+		process.chdir(originalDirectory);
+		fs.removeSync(tmpDir);
+		setCommandSettings(previousCommandSettings);
+		setLogger(previousLogger);
+	}
+};
+
+module.exports = createProject;
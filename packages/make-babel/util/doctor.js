@@ -0,0 +1,637 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const { findWorkspace } = require('./workspace');
+const { getPnpApi } = require('./yarnBerry');
+const { logger, setLogger } = require('./logger');
+const { DoctorError } = require('./errors');
+
+// `make-babel doctor` looks for mistakes that make a generated project fail
+// later, e.g. a `build` script that runs a script that doesn't exist. The same
+// checks run once an app has been created.
+const checkTitles = {
+	scripts: 'Scripts',
+	'babel-config': 'Babel config',
+	'babel-versions': 'Babel versions',
+	'entry-point': 'Entry point',
+	engines: 'Node version',
+};
+
+// Commands a shell runs without looking them up on the PATH.
+const shellBuiltins = [
+	'cd',
+	'echo',
+	'exit',
+	'export',
+	'set',
+	'unset',
+	'true',
+	'false',
+	'test',
+	'[',
+	':',
+	'.',
+	'source',
+];
+
+// Commands of the package managers themselves, rather than scripts or
+// binaries, e.g. `yarn add`.
+const packageManagerCommands = [
+	'add',
+	'audit',
+	'bin',
+	'cache',
+	'config',
+	'create',
+	'dlx',
+	'exec',
+	'global',
+	'info',
+	'init',
+	'install',
+	'link',
+	'list',
+	'ls',
+	'outdated',
+	'pack',
+	'publish',
+	'remove',
+	'unlink',
+	'up',
+	'upgrade',
+	'why',
+	'workspace',
+	'workspaces',
+];
+
+// npm's shortcuts for `npm run <script>`.
+const npmScriptCommands = ['start', 'stop', 'restart', 'test', 't'];
+
+const sourceExtensions = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.tsx'];
+
+// babel options that take a value, so it isn't mistaken for the source.
+const babelValueOptions = [
+	'-d',
+	'--out-dir',
+	'-o',
+	'--out-file',
+	'-x',
+	'--extensions',
+	'--config-file',
+	'--root-mode',
+	'--env-name',
+	'--ignore',
+	'--only',
+	'--presets',
+	'--plugins',
+];
+
+// Splits a script into its commands, e.g. `a && b | c`, and each command into
+// its words. Quotes are kept inside the words, so `--presets='a'` stays whole.
+const parseScript = (script) => {
+	const commands = [[]];
+	let word = '';
+	let quote = null;
+	const endWord = () => {
+		if (word) {
+			commands[commands.length - 1].push(word);
+			word = '';
+		}
+	};
+	for (let i = 0; i < script.length; i++) {
+		const char = script[i];
+		if (quote) {
+			quote = char === quote ? null : quote;
+			word += char;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+			word += char;
+		} else if (/\s/.test(char)) {
+			endWord();
+		} else if (';&|'.includes(char)) {
+			endWord();
+			if (script[i + 1] === char) {
+				i++;
+			}
+			commands.push([]);
+		} else {
+			word += char;
+		}
+	}
+	endWord();
+	return commands
+		.map((words) => {
+			// `cross-env NODE_ENV=production babel ...` runs babel.
+			const start = words.findIndex(
+				(w) => !/^\w+=/.test(w) && w !== 'cross-env' && w !== 'env'
+			);
+			return start === -1 ? [] : words.slice(start);
+		})
+		.filter((words) => words.length);
+};
+
+const unquote = (word) => word.replace(/^(['"])(.*)\1$/, '$2');
+
+const getArguments = (words) =>
+	words.slice(1).filter((w) => !w.startsWith('-'));
+
+const getExecutableNames = (name) =>
+	process.platform === 'win32'
+		? (process.env.PATHEXT || '.EXE;.CMD;.BAT')
+				.split(';')
+				.map((extension) => name + extension.toLowerCase())
+				.concat(name)
+		: [name];
+
+// The directories with node_modules a package can be installed in: the app's,
+// and those above it, e.g. a workspace root that packages are hoisted to.
+const getNodeModulesDirs = (appPath) => {
+	const dirs = [];
+	for (let dir = appPath; ; dir = path.dirname(dir)) {
+		const nodeModules = path.join(dir, 'node_modules');
+		if (fs.existsSync(nodeModules)) {
+			dirs.push(nodeModules);
+		}
+		if (dir === path.dirname(dir)) {
+			return dirs;
+		}
+	}
+};
+
+const createContext = (appPath, appPackage) => {
+	const nodeModulesDirs = getNodeModulesDirs(appPath);
+	const pnpApi = nodeModulesDirs.length ? null : getPnpApi(appPath);
+	const declared = {
+		...appPackage.devDependencies,
+		...appPackage.dependencies,
+	};
+	return {
+		appPath,
+		appPackage,
+		scripts: appPackage.scripts || {},
+		declared,
+		// Under Plug'n'Play, packages stay zipped, so only whether they resolve is
+		// known, not their package.json.
+		getInstalled: (name) => {
+			if (pnpApi) {
+				try {
+					pnpApi.resolveToUnqualified(name, `${appPath}/`);
+					return {};
+				} catch (err) {
+					return null;
+				}
+			}
+			const dir = nodeModulesDirs.find((nodeModules) =>
+				fs.existsSync(path.join(nodeModules, name, 'package.json'))
+			);
+			return dir ? fs.readJsonSync(path.join(dir, name, 'package.json')) : null;
+		},
+		// Without node_modules, nothing is installed yet, or Plug'n'Play hides the
+		// binaries.
+		canFindBinaries: nodeModulesDirs.length > 0,
+		hasBinary: (name) =>
+			nodeModulesDirs
+				.map((nodeModules) => path.join(nodeModules, '.bin'))
+				.concat((process.env.PATH || '').split(path.delimiter))
+				.filter(Boolean)
+				.some((dir) =>
+					getExecutableNames(name).some((file) =>
+						fs.existsSync(path.join(dir, file))
+					)
+				),
+	};
+};
+
+// Recognizes a command that runs another script, e.g. `npm run clean`.
+// Returns the script's name, and whether it may also be a binary, as with
+// `yarn babel`.
+const getScriptCall = (words) => {
+	const [command, ...args] = words;
+	const [first, second] = getArguments(words);
+	if (!['npm', 'yarn', 'yarnpkg', 'pnpm', 'bun'].includes(command)) {
+		return null;
+	}
+	if (args.includes('--if-present')) {
+		return null;
+	}
+	if (first === 'run' || first === 'run-script') {
+		return second
+			? { script: second, orBinary: command !== 'npm' && command !== 'bun' }
+			: null;
+	}
+	if (npmScriptCommands.includes(first)) {
+		return { script: first === 't' ? 'test' : first, orBinary: false };
+	}
+	if (command === 'npm' || command === 'bun' || !first) {
+		return null;
+	}
+	return packageManagerCommands.includes(first)
+		? null
+		: { script: first, orBinary: true };
+};
+
+const checkScripts = ({ appPath, scripts, canFindBinaries, hasBinary }) => {
+	const problems = [];
+	Object.keys(scripts).forEach((name) => {
+		parseScript(String(scripts[name])).forEach((words) => {
+			const command = unquote(words[0]);
+			const call = getScriptCall(words.map(unquote));
+			if (call) {
+				const exists =
+					scripts[call.script] !== undefined ||
+					(call.orBinary && canFindBinaries && hasBinary(call.script));
+				// `npm start` without a start script runs `node server.js`.
+				if (
+					!exists &&
+					!(
+						call.script === 'start' &&
+						fs.existsSync(path.join(appPath, 'server.js'))
+					)
+				) {
+					problems.push({
+						message: `The "${name}" script runs \`${words.join(
+							' '
+						)}\`, but there is no "${call.script}" script.`,
+						fix: `Add a "${call.script}" script to package.json, or remove the call from "${name}".`,
+					});
+				}
+				return;
+			}
+			if (command.includes('/') || command.includes('\\')) {
+				if (!fs.existsSync(path.resolve(appPath, command))) {
+					problems.push({
+						message: `The "${name}" script runs ${command}, which doesn't exist.`,
+						fix: `Fix the path in the "${name}" script.`,
+					});
+				}
+				return;
+			}
+			if (
+				canFindBinaries &&
+				!shellBuiltins.includes(command) &&
+				!hasBinary(command)
+			) {
+				problems.push({
+					message: `The "${name}" script runs ${command}, which is neither installed nor on the PATH.`,
+					fix: `Install the package that provides ${command}, or fix the "${name}" script.`,
+				});
+			}
+		});
+	});
+	return problems;
+};
+
+// Babel's shorthands, e.g. `@babel/env` for `@babel/preset-env` or `minify`
+// for `babel-preset-minify`, as the package they are loaded from.
+const getBabelPackageName = (entry, type) => {
+	const name = Array.isArray(entry) ? entry[0] : entry;
+	const fullName = name.startsWith('module:')
+		? name.slice('module:'.length)
+		: name
+				.replace(new RegExp(`^(?!@|[^/]+/|babel-${type}-)`), `babel-${type}-`)
+				.replace(new RegExp(`^(@babel/)(?!${type}-|[^/]+/)`), `$1${type}-`)
+				.replace(
+					new RegExp(
+						`^(@(?!babel/)[^/]+/)(?![^/]*babel-${type}(?:-|/|$)|[^/]+/)`
+					),
+					`$1babel-${type}-`
+				)
+				.replace(/^(@(?!babel$)[^/]+)$/, `$1/babel-${type}`);
+	const parts = fullName.split('/');
+	return fullName.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+};
+
+const getBabelConfigPath = (appPath, appPackage) => {
+	const configPath = path.join(appPath, 'babel.config.json');
+	const { sharedBabelConfig = false } = appPackage.makeBabel || {};
+	const workspace =
+		!fs.existsSync(configPath) && sharedBabelConfig && findWorkspace(appPath);
+	return workspace
+		? path.join(workspace.root, 'babel.config.json')
+		: configPath;
+};
+
+const checkBabelConfig = ({ appPath, appPackage, getInstalled }) => {
+	const configPath = getBabelConfigPath(appPath, appPackage);
+	if (!fs.existsSync(configPath)) {
+		return [];
+	}
+	let config;
+	try {
+		config = fs.readJsonSync(configPath);
+	} catch (err) {
+		return [
+			{
+				message: `${configPath} is not valid JSON: ${err.message}`,
+				fix: 'Fix the syntax error.',
+			},
+		];
+	}
+	// The presets and plugins of each `env`, e.g. `test`, are loaded too.
+	const sections = [config].concat(
+		Object.keys(config.env || {}).map((env) => config.env[env])
+	);
+	const problems = [];
+	sections.forEach((section) => {
+		['preset', 'plugin'].forEach((type) => {
+			(section[`${type}s`] || []).forEach((entry) => {
+				const name = Array.isArray(entry) ? entry[0] : entry;
+				if (typeof name !== 'string') {
+					return;
+				}
+				if (name.startsWith('.') || path.isAbsolute(name)) {
+					if (!fs.existsSync(path.resolve(path.dirname(configPath), name))) {
+						problems.push({
+							message: `The ${type} ${name} in ${configPath} doesn't exist.`,
+							fix: `Fix the path, or remove the ${type}.`,
+						});
+					}
+					return;
+				}
+				const packageName = getBabelPackageName(entry, type);
+				if (!getInstalled(packageName)) {
+					problems.push({
+						message: `The ${type} ${packageName} in ${configPath} is not installed.`,
+						fix: `Install it as a dev dependency, or remove it from ${path.basename(
+							configPath
+						)}.`,
+					});
+				}
+			});
+		});
+	});
+	return problems;
+};
+
+// The version of each @babel package, as installed, or else the lowest one its
+// range in package.json allows.
+const getBabelVersions = ({ declared, getInstalled }) =>
+	Object.keys(declared)
+		.filter((name) => name.startsWith('@babel/'))
+		.map((name) => {
+			const installed = getInstalled(name);
+			if (installed && installed.version) {
+				return { name, version: installed.version, manifest: installed };
+			}
+			const range = semver.validRange(declared[name]);
+			return range
+				? { name, version: semver.minVersion(range).version, manifest: null }
+				: null;
+		})
+		.filter(Boolean);
+
+const checkBabelVersions = (context) => {
+	const versions = getBabelVersions(context);
+	const core = versions.find(({ name }) => name === '@babel/core');
+	if (!core) {
+		return [];
+	}
+	const problems = [];
+	versions.forEach(({ name, version, manifest }) => {
+		if (name === core.name) {
+			return;
+		}
+		if (semver.major(version) !== semver.major(core.version)) {
+			problems.push({
+				message: `${name} ${version} is for Babel ${semver.major(
+					version
+				)}, but @babel/core is ${core.version}.`,
+				fix: `Install versions of ${name} and @babel/core with the same major version.`,
+			});
+			return;
+		}
+		const peerRange = ((manifest && manifest.peerDependencies) || {})[
+			'@babel/core'
+		];
+		if (
+			peerRange &&
+			semver.validRange(peerRange) &&
+			!semver.satisfies(core.version, peerRange, { includePrerelease: true })
+		) {
+			problems.push({
+				message: `${name} ${version} needs @babel/core ${peerRange}, but it is ${core.version}.`,
+				fix: 'Update @babel/core.',
+			});
+		}
+	});
+	return problems;
+};
+
+// The source directory and the output directory of `babel src -d dist`.
+const findBabelBuild = (scripts) => {
+	let build = null;
+	Object.keys(scripts).forEach((name) => {
+		parseScript(String(scripts[name])).forEach((words) => {
+			if (build || unquote(words[0]) !== 'babel') {
+				return;
+			}
+			let source = null;
+			let outDir = null;
+			for (let i = 1; i < words.length; i++) {
+				const [option, value] = unquote(words[i]).split('=');
+				if (option === '-d' || option === '--out-dir') {
+					outDir = value || unquote(words[++i] || '');
+				} else if (babelValueOptions.includes(option)) {
+					i += value === undefined ? 1 : 0;
+				} else if (!option.startsWith('-') && !source) {
+					source = option;
+				}
+			}
+			if (source && outDir) {
+				build = { script: name, source, outDir };
+			}
+		});
+	});
+	return build;
+};
+
+const isInside = (dir, file) => {
+	const relative = path.relative(dir, file);
+	return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+const checkEntryPoint = ({ appPath, scripts }) => {
+	const start = parseScript(String(scripts.start || '')).find((words) =>
+		['node', 'babel-node'].includes(unquote(words[0]))
+	);
+	const build = findBabelBuild(scripts);
+	if (!start) {
+		return [];
+	}
+	const [entry] = getArguments(start.map(unquote));
+	if (!entry) {
+		return [];
+	}
+	const entryPath = path.resolve(appPath, entry);
+	if (unquote(start[0]) === 'node' && build) {
+		const sourceDir = path.resolve(appPath, build.source);
+		const outDir = path.resolve(appPath, build.outDir);
+		if (isInside(outDir, entryPath)) {
+			// dist/index.js is compiled from src/index.js, or src/index.ts.
+			const source = path.join(sourceDir, path.relative(outDir, entryPath));
+			const base = source.slice(0, -path.extname(source).length || undefined);
+			if (
+				!fs.existsSync(source) &&
+				!sourceExtensions.some((extension) => fs.existsSync(base + extension))
+			) {
+				return [
+					{
+						message: `The "start" script runs ${entry}, but there is no ${path.relative(
+							appPath,
+							source
+						)} for the "${build.script}" script to compile it from.`,
+						fix: `Point "start" at a file ${build.source} compiles to.`,
+					},
+				];
+			}
+			return [];
+		}
+		if (isInside(sourceDir, entryPath) || !fs.existsSync(entryPath)) {
+			return [
+				{
+					message: `The "start" script runs ${entry}, but the "${build.script}" script compiles ${build.source} into ${build.outDir}.`,
+					fix: `Point "start" at the compiled file in ${build.outDir}.`,
+				},
+			];
+		}
+		return [];
+	}
+	if (!fs.existsSync(entryPath)) {
+		return [
+			{
+				message: `The "start" script runs ${entry}, which doesn't exist.`,
+				fix: 'Fix the path in the "start" script.',
+			},
+		];
+	}
+	return [];
+};
+
+const checkEngines = ({ appPackage }) => {
+	const range = (appPackage.engines || {}).node;
+	if (
+		typeof range !== 'string' ||
+		!semver.validRange(range) ||
+		semver.satisfies(process.versions.node, range)
+	) {
+		return [];
+	}
+	return [
+		{
+			message: `The project needs Node ${range}, but you are using ${process.versions.node}.`,
+			fix: `Switch to a Node version in that range, or change "engines" in package.json.`,
+		},
+	];
+};
+
+const checks = {
+	scripts: checkScripts,
+	'babel-config': checkBabelConfig,
+	'babel-versions': checkBabelVersions,
+	'entry-point': checkEntryPoint,
+	engines: checkEngines,
+};
+
+// Runs every check on the project at appPath without printing anything.
+// Returns the problems of each check, and all of them in `problems`, each with
+// a `message` and a `fix`.
+const diagnoseProject = (appPath) => {
+	const packageJsonPath = path.join(appPath, 'package.json');
+	if (!fs.existsSync(packageJsonPath)) {
+		logger.error(
+			chalk.red(`There is no package.json in ${chalk.green(appPath)}.`)
+		);
+		throw new DoctorError(appPath, `${appPath} has no package.json`);
+	}
+	let appPackage;
+	try {
+		appPackage = fs.readJsonSync(packageJsonPath);
+	} catch (err) {
+		// fs-extra's message starts with the file's path.
+		const message = `Could not read ${err.message}`;
+		logger.error(chalk.red(message));
+		throw new DoctorError(appPath, message);
+	}
+	const context = createContext(appPath, appPackage);
+	const results = Object.keys(checks).map((check) => ({
+		check,
+		problems: checks[check](context).map((problem) => ({ check, ...problem })),
+	}));
+	return {
+		appPath,
+		checks: results,
+		problems: [].concat(...results.map((result) => result.problems)),
+	};
+};
+
+const printProblems = (problems) => {
+	problems.forEach(({ message, fix }) => {
+		logger.log(`    ${message}`);
+		logger.log(`    ${chalk.cyan(fix)}`);
+	});
+};
+
+const printDiagnosis = (diagnosis) => {
+	logger.log(`Checking the project at ${chalk.green(diagnosis.appPath)}:`);
+	logger.log();
+	diagnosis.checks.forEach(({ check, problems }) => {
+		logger.log(
+			`  ${chalk.bold(checkTitles[check])}: ${
+				problems.length
+					? chalk.red(
+							`${problems.length} problem${problems.length === 1 ? '' : 's'}`
+					  )
+					: chalk.green('ok')
+			}`
+		);
+		printProblems(problems);
+	});
+	logger.log();
+	const count = diagnosis.problems.length;
+	logger.log(
+		count
+			? chalk.red(`Found ${count} problem${count === 1 ? '' : 's'}.`)
+			: chalk.green('No problems found.')
+	);
+};
+
+// After creating an app, only the problems are worth mentioning. They are the
+// template's, so the app is kept.
+const printNewAppProblems = (problems) => {
+	if (!problems.length) {
+		return;
+	}
+	logger.log();
+	logger.log(
+		chalk.yellow(
+			`make-babel doctor found ${problems.length} problem${
+				problems.length === 1 ? '' : 's'
+			} in the new app, most likely in its template:`
+		)
+	);
+	printProblems(problems);
+};
+
+// The Node API for `make-babel doctor`. Checks the project in `appPath` (the
+// working directory by default), prints the report, and resolves with it.
+// Problems don't reject, so check `problems.length`.
+const doctorProject = async (options = {}) => {
+	const { appPath = process.cwd() } = options;
+	const previousLogger = setLogger(options.logger);
+	try {
+		const diagnosis = diagnoseProject(path.resolve(appPath));
+		printDiagnosis(diagnosis);
+		return diagnosis;
+	} finally {
+		setLogger(previousLogger);
+	}
+};
+
+module.exports = {
+	diagnoseProject,
+	printDiagnosis,
+	printNewAppProblems,
+	doctorProject,
+};
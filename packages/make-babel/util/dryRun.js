@@ -0,0 +1,326 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+	checkIfOnline,
+	getInstallCommand,
+	getTemplateCommands,
+	getTemplatePackageToReplace,
+	getTemplateRecord,
+	mergeTemplatePackage,
+} = require('./index');
+const { logger } = require('./logger');
+const { getPackageManager } = require('./packageManager');
+const { getBerryDescriptor } = require('./yarnBerry');
+const {
+	resolveTemplateVariables,
+	renderTemplatePath,
+	listTemplateFiles,
+	fetchTemplate,
+} = require('./templateFiles');
+const { hookNames, getTemplateHooks } = require('./templateHooks');
+const {
+	hasBabelOptions,
+	usesCoreJs,
+	mergeBabelConfig,
+	addRootModeUpward,
+} = require('./babelConfig');
+const {
+	resolveFeatures,
+	getFeatureDependencies,
+	mergeFeatureScripts,
+	listFeatureFiles,
+} = require('./features');
+const { canInitGit, gitignoreEntries, commitMessage } = require('./git');
+const {
+	findWorkspace,
+	getWorkspaceChange,
+	getWorkspacePath,
+} = require('./workspace');
+
+const formatCommand = (command, args) => [command, ...args].join(' ');
+
+const printSection = (title) => {
+	logger.log();
+	logger.log(chalk.bold(title));
+};
+
+// Prints everything `run` and `initializeTemplate` would do for these
+// arguments, without creating the app directory.
+const printDryRun = async (
+	root,
+	appName,
+	verbose,
+	originalDirectory,
+	{ templateToInstall, fetchedTemplate },
+	packageManager,
+	templateVariables,
+	usePnp,
+	useGit,
+	babelOptions = {},
+	features = []
+) => {
+	const isOnline = await checkIfOnline(packageManager);
+	const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-'));
+
+	try {
+		// A package is unpacked to list its files, without installing it.
+		const templatePath = fetchedTemplate
+			? fetchedTemplate.templatePath
+			: fetchTemplate(templateToInstall, tmpDir);
+		const templateJsonPath = path.join(templatePath, 'template.json');
+		const templateJson = fs.existsSync(templateJsonPath)
+			? fs.readJsonSync(templateJsonPath)
+			: {};
+		const templatePackage = templateJson.package || {};
+		const templateName = fs.readJsonSync(
+			path.join(templatePath, 'package.json')
+		).name;
+		const variables = resolveTemplateVariables(
+			templateJson,
+			appName,
+			templateVariables
+		);
+
+		logger.log(
+			chalk.yellow('Dry run: nothing will be written to disk or installed.')
+		);
+
+		printSection('Project');
+		logger.log(`  ${appName} in ${chalk.green(root)}`);
+
+		const workspace = findWorkspace(root);
+		if (workspace) {
+			const workspacePath = getWorkspacePath(workspace, root);
+			printSection('Workspace');
+			logger.log(
+				`  A package of the workspace at ${chalk.green(workspace.root)}`
+			);
+			logger.log(
+				getWorkspaceChange(workspace, root)
+					? `  Adds ${chalk.cyan(workspacePath)} to ${workspace.file}`
+					: `  Already listed in ${workspace.file}`
+			);
+			if (packageManager === 'npm') {
+				logger.log(
+					`  The npm commands run in the root, with ${chalk.cyan(
+						`--workspace ${workspacePath}`
+					)}`
+				);
+			}
+			if (babelOptions.sharedBabelConfig) {
+				logger.log(
+					`  Uses ${path.join(
+						workspace.root,
+						'babel.config.json'
+					)} instead of its own, with ${chalk.cyan('--root-mode upward')}`
+				);
+			}
+		}
+
+		printSection('Template');
+		logger.log(`  ${chalk.cyan(templateToInstall)} (${templateName})`);
+		if (fetchedTemplate) {
+			logger.log(
+				`  Copied from ${
+					fetchedTemplate.commit
+						? `commit ${fetchedTemplate.commit.slice(0, 7)}`
+						: templatePath
+				}, without installing it`
+			);
+		}
+
+		// Versions are only known once the packages are installed.
+		const appPackage = {
+			name: appName,
+			version: '1.0.0',
+			private: true,
+			dependencies: {
+				'@babel/core': 'latest',
+				'@babel/preset-env': 'latest',
+			},
+		};
+		const initialDependencies = ['@babel/core', '@babel/preset-env'];
+		if (usesCoreJs(babelOptions)) {
+			appPackage.dependencies['core-js'] = '3';
+			initialDependencies.push('core-js@3');
+		}
+		const install = getInstallCommand(
+			root,
+			packageManager,
+			fetchedTemplate
+				? initialDependencies
+				: [
+						...initialDependencies,
+						packageManager === 'berry'
+							? getBerryDescriptor(templateToInstall)
+							: templateToInstall,
+				  ],
+			verbose,
+			isOnline,
+			usePnp
+		);
+		const { command, remove, args, dependencies } = getTemplateCommands(
+			appPackage,
+			templatePackage,
+			verbose,
+			packageManager
+		);
+
+		printSection('Commands');
+		logger.log(`  ${chalk.cyan(formatCommand(install.command, install.args))}`);
+		if (dependencies.length) {
+			logger.log(`  ${chalk.cyan(formatCommand(command, args))}`);
+		}
+		const resolvedFeatures = resolveFeatures(features);
+		const featureDependencies = getFeatureDependencies(resolvedFeatures);
+		const { add, addDev } = getPackageManager(packageManager);
+		if (featureDependencies.dependencies.length) {
+			logger.log(
+				`  ${chalk.cyan(
+					formatCommand(command, [...add, ...featureDependencies.dependencies])
+				)}`
+			);
+		}
+		if (featureDependencies.devDependencies.length) {
+			logger.log(
+				`  ${chalk.cyan(
+					formatCommand(command, [
+						...addDev,
+						...featureDependencies.devDependencies,
+					])
+				)}`
+			);
+		}
+		if (!fetchedTemplate) {
+			logger.log(
+				`  ${chalk.cyan(formatCommand(command, [...remove, templateName]))}`
+			);
+		}
+		const willInitGit = useGit && canInitGit(root);
+		if (willInitGit) {
+			logger.log(`  ${chalk.cyan('git init')}`);
+			logger.log(`  ${chalk.cyan('git add -A')}`);
+			logger.log(`  ${chalk.cyan(`git commit -m "${commitMessage}"`)}`);
+		}
+
+		mergeTemplatePackage(appPackage, templatePackage, packageManager);
+		appPackage.makeBabel = getTemplateRecord(
+			templatePath,
+			templateName,
+			variables,
+			fetchedTemplate
+		);
+		mergeFeatureScripts(appPackage, resolvedFeatures);
+		if (babelOptions.sharedBabelConfig) {
+			appPackage.makeBabel.sharedBabelConfig = true;
+			addRootModeUpward(appPackage.scripts);
+		}
+		if (babelOptions.modules === 'esm') {
+			appPackage.type = 'module';
+		}
+		Object.assign(
+			appPackage.dependencies,
+			templatePackage.dependencies,
+			templatePackage.devDependencies
+		);
+		const replacedKeys = getTemplatePackageToReplace(templatePackage);
+
+		printSection('package.json');
+		logger.log(
+			JSON.stringify(appPackage, null, 2)
+				.split('\n')
+				.map((line) => `  ${line}`)
+				.join('\n')
+		);
+		if (replacedKeys.length) {
+			logger.log(
+				`  Replaced from template.json: ${replacedKeys
+					.map((key) => chalk.cyan(key))
+					.join(', ')}`
+			);
+		}
+
+		const templateDir = path.join(templatePath, 'template');
+		if (hasBabelOptions(babelOptions)) {
+			const templateConfigPath = path.join(templateDir, 'babel.config.json');
+			const config = mergeBabelConfig(
+				fs.existsSync(templateConfigPath)
+					? fs.readJsonSync(templateConfigPath)
+					: { presets: [] },
+				babelOptions,
+				'3'
+			);
+			printSection('babel.config.json');
+			logger.log(
+				JSON.stringify(config, null, 2)
+					.split('\n')
+					.map((line) => `  ${line}`)
+					.join('\n')
+			);
+		}
+
+		printSection('Variables');
+		Object.keys(variables).forEach((name) => {
+			logger.log(`  ${name} = ${chalk.cyan(variables[name])}`);
+		});
+
+		const hooks = getTemplateHooks(templateJson, templatePath);
+		if (Object.keys(hooks).length) {
+			printSection('Hooks (not run)');
+			hookNames
+				.filter((hook) => hooks[hook])
+				.forEach((hook) => {
+					logger.log(`  ${hook}: ${templateJson.hooks[hook]}`);
+				});
+		}
+
+		printSection('Files');
+		if (fs.existsSync(path.join(root, 'README.md'))) {
+			logger.log(`  README.md -> README.old.md`);
+		}
+		if (fs.existsSync(templateDir)) {
+			listTemplateFiles(templateDir)
+				.filter(
+					(file) =>
+						!(babelOptions.sharedBabelConfig && file === 'babel.config.json')
+				)
+				.forEach((file) => {
+					logger.log(
+						`  ${chalk.green('+')} ${renderTemplatePath(file, variables)}`
+					);
+				});
+			listFeatureFiles(resolvedFeatures).forEach((file) => {
+				logger.log(`  ${chalk.green('+')} ${file}`);
+			});
+		} else {
+			logger.log(
+				chalk.red(`  Could not locate supplied template: ${templateDir}`)
+			);
+		}
+		if (willInitGit) {
+			logger.log(
+				`  .gitignore: ${gitignoreEntries
+					.map((entry) => chalk.cyan(entry))
+					.join(', ')} ignored`
+			);
+		}
+		if (
+			packageManager !== 'npm' &&
+			fs.existsSync(path.join(templateDir, 'README.md'))
+		) {
+			logger.log(
+				`  README.md: npm commands rewritten for ${
+					getPackageManager(packageManager).displayName
+				}`
+			);
+		}
+		logger.log();
+	} finally {
+		fs.removeSync(tmpDir);
+	}
+};
+
+module.exports = printDryRun;
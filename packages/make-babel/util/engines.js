@@ -0,0 +1,129 @@
+'use strict';
+const chalk = require('chalk');
+const semver = require('semver');
+const { sync } = require('cross-spawn');
+const { logger } = require('./logger');
+const { getCommandEnv } = require('./command');
+const { EngineError, NodeVersionError } = require('./errors');
+const packageJson = require('../package.json');
+
+// A template's package.json can restrict where it works: `engines` for Node
+// and the package managers, as npm reads them, and `makeBabel`, a range of
+// make-babel versions, e.g. `"makeBabel": ">=1.1.0"` for a template that
+// relies on a newer feature.
+const packageManagerEngines = {
+	npm: 'npm',
+	yarn: 'yarn',
+	berry: 'yarn',
+	pnpm: 'pnpm',
+	bun: 'bun',
+};
+
+const viewTimeout = 15000;
+
+// The template's package.json from the registry, without installing it, or
+// null if the registry can't be asked, e.g. offline.
+const viewTemplateManifest = (templateToInstall) => {
+	const proc = sync(
+		'npm',
+		[
+			'view',
+			templateToInstall,
+			'name',
+			'version',
+			'engines',
+			'makeBabel',
+			'--json',
+		],
+		{ stdio: 'pipe', timeout: viewTimeout, env: getCommandEnv() }
+	);
+	if (proc.status !== 0) {
+		return null;
+	}
+	try {
+		const manifest = JSON.parse(proc.stdout.toString());
+		// A range that matches several versions lists all of them.
+		return Array.isArray(manifest) ? manifest[manifest.length - 1] : manifest;
+	} catch (err) {
+		return null;
+	}
+};
+
+// Prereleases count, so a Node nightly still satisfies `>=20`.
+const satisfies = (version, range) =>
+	semver.satisfies(semver.coerce(version), range);
+
+const getGuidance = ({ engine, required }) => {
+	if (engine === 'make-babel') {
+		return semver.gtr(packageJson.version, required)
+			? `Use a make-babel version the template supports, e.g. ${chalk.cyan(
+					`npx ${packageJson.name}@${semver.minVersion(required).major}`
+			  )}.`
+			: `Run the latest make-babel with ${chalk.cyan(
+					`npx ${packageJson.name}@latest`
+			  )}.`;
+	}
+	if (engine === 'node') {
+		return `Switch to a Node version in that range, e.g. with ${chalk.cyan(
+			`nvm install ${semver.minVersion(required).major}`
+		)}, or pick another template.`;
+	}
+	return `Update ${engine} to a version in that range, or create the app with another package manager.`;
+};
+
+// Checks the template's package.json before anything is written. Explains
+// each mismatch, then throws a NodeVersionError when only Node is too old, or
+// an EngineError.
+const checkTemplateEngines = (
+	manifest,
+	packageManager,
+	packageManagerVersion
+) => {
+	const engines = manifest.engines || {};
+	const requirements = [
+		['node', engines.node, process.versions.node],
+		[
+			packageManagerEngines[packageManager],
+			engines[packageManagerEngines[packageManager]],
+			packageManagerVersion,
+		],
+		['make-babel', manifest.makeBabel, packageJson.version],
+	];
+	const problems = requirements
+		.filter(
+			([engine, required, current]) =>
+				typeof required === 'string' &&
+				semver.validRange(required) &&
+				// npm can't always tell its version, e.g. when it is very old.
+				semver.valid(semver.coerce(current)) &&
+				!satisfies(current, required)
+		)
+		.map(([engine, required, current]) => ({ engine, required, current }));
+	if (!problems.length) {
+		return;
+	}
+
+	const template = manifest.version
+		? `${manifest.name}@${manifest.version}`
+		: manifest.name;
+	logger.error(
+		chalk.red(`The template ${template} does not support this environment:`)
+	);
+	problems.forEach((problem) => {
+		logger.error(
+			`  It needs ${problem.engine} ${chalk.cyan(
+				problem.required
+			)}, but you are using ${problem.current}. ${getGuidance(problem)}`
+		);
+	});
+	logger.error();
+	if (problems.length === 1 && problems[0].engine === 'node') {
+		throw new NodeVersionError(problems[0].current, problems[0].required);
+	}
+	throw new EngineError(template, problems);
+};
+
+module.exports = {
+	viewTemplateManifest,
+	checkTemplateEngines,
+};
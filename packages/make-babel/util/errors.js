@@ -0,0 +1,155 @@
+'use strict';
+
+// Every failure make-babel can report is a MakeBabelError, so callers of the
+// Node API can tell them apart from bugs by `instanceof` or by `code`.
+class MakeBabelError extends Error {
+	constructor(message, code) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+	}
+}
+
+class InvalidAppNameError extends MakeBabelError {
+	constructor(appName, problems) {
+		super(`Cannot create a project named "${appName}"`, 'EINVALIDNAME');
+		this.appName = appName;
+		this.problems = problems;
+	}
+}
+
+class UnsafeDirectoryError extends MakeBabelError {
+	constructor(root) {
+		super(
+			`The directory ${root} contains files that could conflict`,
+			'EUNSAFEDIR'
+		);
+		this.root = root;
+	}
+}
+
+class NpmCwdError extends MakeBabelError {
+	constructor(cwd) {
+		super(`Could not start an npm process in ${cwd}`, 'ENPMCWD');
+		this.cwd = cwd;
+	}
+}
+
+class PackageManagerError extends MakeBabelError {
+	constructor(packageManager, message) {
+		super(message, 'EPACKAGEMANAGER');
+		this.packageManager = packageManager;
+	}
+}
+
+class CommandError extends MakeBabelError {
+	constructor(command) {
+		super(`\`${command}\` failed`, 'ECOMMAND');
+		this.command = command;
+	}
+}
+
+class CommandTimeoutError extends CommandError {
+	constructor(command, timeout) {
+		super(command);
+		this.message = `\`${command}\` did not finish within ${timeout} seconds`;
+		this.code = 'ECOMMANDTIMEOUT';
+		this.timeout = timeout;
+	}
+}
+
+// `signal` is the signal that cancelled the run, "abort" for an AbortSignal
+// passed to the Node API, or "prompt" when a question was cancelled.
+class CancelledError extends MakeBabelError {
+	constructor(signal) {
+		super(
+			signal === 'prompt' ? 'Cancelled at a prompt' : `Cancelled by ${signal}`,
+			'ECANCELLED'
+		);
+		this.signal = signal;
+	}
+}
+
+class TemplateError extends MakeBabelError {
+	constructor(message) {
+		super(message, 'ETEMPLATE');
+	}
+}
+
+class NodeVersionError extends MakeBabelError {
+	constructor(nodeVersion, requiredVersion) {
+		super(
+			`Node ${nodeVersion} does not satisfy the required range ${requiredVersion}`,
+			'ENODEVERSION'
+		);
+		this.nodeVersion = nodeVersion;
+		this.requiredVersion = requiredVersion;
+	}
+}
+
+// `problems` lists each mismatch as `{ engine, required, current }`, where
+// `engine` is node, npm, yarn, pnpm, bun or make-babel.
+class EngineError extends MakeBabelError {
+	constructor(template, problems) {
+		super(
+			`The template ${template} does not support ${problems
+				.map(({ engine, current }) => `${engine} ${current}`)
+				.join(', ')}`,
+			'EENGINE'
+		);
+		this.template = template;
+		this.problems = problems;
+	}
+}
+
+class TypeScriptSetupError extends MakeBabelError {
+	constructor(message) {
+		super(message, 'ETYPESCRIPT');
+	}
+}
+
+class TemplateHookError extends MakeBabelError {
+	constructor(hook, message) {
+		super(`The template's ${hook} hook ${message}`, 'ETEMPLATEHOOK');
+		this.hook = hook;
+	}
+}
+
+class FeatureError extends MakeBabelError {
+	constructor(message) {
+		super(message, 'EFEATURE');
+	}
+}
+
+class ConfigError extends MakeBabelError {
+	constructor(file, message) {
+		super(message, 'ECONFIG');
+		this.file = file;
+	}
+}
+
+class DoctorError extends MakeBabelError {
+	constructor(appPath, message) {
+		super(message, 'EDOCTOR');
+		this.appPath = appPath;
+	}
+}
+
+module.exports = {
+	MakeBabelError,
+	InvalidAppNameError,
+	UnsafeDirectoryError,
+	NpmCwdError,
+	PackageManagerError,
+	CommandError,
+	CommandTimeoutError,
+	CancelledError,
+	TemplateError,
+	NodeVersionError,
+	EngineError,
+	TypeScriptSetupError,
+	TemplateHookError,
+	FeatureError,
+	ConfigError,
+	DoctorError,
+};
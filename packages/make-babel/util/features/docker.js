@@ -0,0 +1,50 @@
+'use strict';
+const os = require('os');
+
+// How each package manager installs exactly what its lockfile says.
+const installCommands = {
+	npm: 'npm ci',
+	yarn: 'yarn install --frozen-lockfile',
+	berry: 'corepack enable && yarn install --immutable',
+	pnpm: 'corepack enable && pnpm install --frozen-lockfile',
+	bun: 'bun install --frozen-lockfile',
+};
+
+const runCommands = {
+	npm: 'npm run',
+	yarn: 'yarn',
+	berry: 'yarn',
+	pnpm: 'pnpm',
+	bun: 'bun run',
+};
+
+const dockerfile = ({ packageManager, scripts }) => {
+	const baseImage =
+		packageManager === 'bun'
+			? 'oven/bun:1'
+			: `node:${process.versions.node.split('.')[0]}-alpine`;
+	const lines = [
+		`FROM ${baseImage}`,
+		'WORKDIR /app',
+		'COPY . .',
+		`RUN ${installCommands[packageManager]}`,
+	];
+	if (scripts.build) {
+		lines.push(`RUN ${runCommands[packageManager]} build`);
+	}
+	lines.push(
+		'ENV NODE_ENV=production',
+		`CMD ${JSON.stringify(
+			runCommands[packageManager].split(' ').concat('start')
+		)}`
+	);
+	return lines.join(os.EOL) + os.EOL;
+};
+
+module.exports = {
+	description: 'A Dockerfile that builds and starts the app',
+	files: {
+		Dockerfile: dockerfile,
+		'.dockerignore': () => ['node_modules', 'dist', '.git', ''].join(os.EOL),
+	},
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+// The flat config is an ES module, so it works whatever the app's "type" is.
+const eslintConfig = ({
+	usesTypeScript,
+	sharedBabelConfig,
+}) => `import js from '@eslint/js';
+import babelParser from '@babel/eslint-parser';
+import globals from 'globals';
+
+export default [
+	{
+		ignores: ['dist/'],
+	},
+	js.configs.recommended,
+	{
+		files: ['src/**/*.${usesTypeScript ? '{js,ts}' : 'js'}'],
+		languageOptions: {
+			parser: babelParser,${
+				sharedBabelConfig
+					? `
+			parserOptions: {
+				babelOptions: { rootMode: 'upward' },
+			},`
+					: ''
+			}
+			globals: globals.node,
+		},
+	},
+];
+`;
+
+// @babel/eslint-parser parses the sources with the app's own Babel config.
+module.exports = {
+	description: 'ESLint, parsing with @babel/eslint-parser',
+	devDependencies: [
+		'eslint@9',
+		'@eslint/js@9',
+		'@babel/eslint-parser',
+		'globals',
+	],
+	scripts: {
+		lint: 'eslint src',
+	},
+	files: {
+		'eslint.config.mjs': eslintConfig,
+	},
+};
@@ -0,0 +1,175 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../logger');
+const { recordWrite } = require('../journal');
+const { FeatureError } = require('../errors');
+
+// Add-ons that can be combined with any template, or added to an existing app
+// with `make-babel add`. Each one may contribute `dependencies` and
+// `devDependencies` (package specs), `scripts`, `files` (paths relative to the
+// app, with functions returning their contents), `babelPresets` and
+// `babelPlugins`. A script given as a function is called with the current
+// script, if any, and replaces it unless it returns undefined.
+const features = {
+	typescript: require('./typescript'),
+	jest: require('./jest'),
+	eslint: require('./eslint'),
+	prettier: require('./prettier'),
+	nodemon: require('./nodemon'),
+	docker: require('./docker'),
+};
+
+const featureNames = Object.keys(features);
+
+const fail = (message) => {
+	logger.error(chalk.red(message));
+	throw new FeatureError(message);
+};
+
+// Looks up the features by name, and makes sure they don't define the same
+// script or file in different ways.
+const resolveFeatures = (names = []) => {
+	const unknown = names.filter((name) => !featureNames.includes(name));
+	if (unknown.length) {
+		fail(
+			`Unknown feature ${unknown.join(
+				', '
+			)}. Available features are ${featureNames.join(', ')}.`
+		);
+	}
+
+	const resolved = names
+		.filter((name, index) => names.indexOf(name) === index)
+		.map((name) => ({ name, ...features[name] }));
+
+	const scriptOwners = {};
+	const fileOwners = {};
+	resolved.forEach((feature) => {
+		Object.keys(feature.scripts || {}).forEach((script) => {
+			const value = feature.scripts[script];
+			const owner = scriptOwners[script];
+			if (
+				owner &&
+				typeof value === 'string' &&
+				typeof owner.value === 'string' &&
+				value !== owner.value
+			) {
+				fail(
+					`The ${owner.name} and ${feature.name} features both define the "${script}" script.`
+				);
+			}
+			scriptOwners[script] = { name: feature.name, value };
+		});
+		Object.keys(feature.files || {}).forEach((file) => {
+			if (fileOwners[file]) {
+				fail(
+					`The ${fileOwners[file]} and ${feature.name} features both create ${file}.`
+				);
+			}
+			fileOwners[file] = feature.name;
+		});
+	});
+	return resolved;
+};
+
+const unique = (list) =>
+	list.filter((item, index) => list.indexOf(item) === index);
+
+const getFeatureDependencies = (resolvedFeatures) => ({
+	dependencies: unique(
+		[].concat(...resolvedFeatures.map((feature) => feature.dependencies || []))
+	),
+	devDependencies: unique(
+		[].concat(
+			...resolvedFeatures.map((feature) => [
+				...(feature.devDependencies || []),
+				...(feature.babelPresets || []),
+				...(feature.babelPlugins || []),
+			])
+		)
+	),
+});
+
+const getFeatureBabelEntries = (resolvedFeatures) => ({
+	presets: unique(
+		[].concat(...resolvedFeatures.map((feature) => feature.babelPresets || []))
+	),
+	plugins: unique(
+		[].concat(...resolvedFeatures.map((feature) => feature.babelPlugins || []))
+	),
+});
+
+// Adds the features' scripts to appPackage. A script the app already defines
+// differently is a conflict, unless the feature wraps it.
+const mergeFeatureScripts = (appPackage, resolvedFeatures) => {
+	resolvedFeatures.forEach((feature) => {
+		Object.keys(feature.scripts || {}).forEach((script) => {
+			const value = feature.scripts[script];
+			const current = (appPackage.scripts || {})[script];
+			if (typeof value === 'function') {
+				const nextValue = value(current);
+				if (nextValue !== undefined) {
+					appPackage.scripts = { ...appPackage.scripts, [script]: nextValue };
+				}
+				return;
+			}
+			if (current !== undefined && current !== value) {
+				fail(
+					`The ${feature.name} feature's "${script}" script conflicts with the existing one: ${current}`
+				);
+			}
+			appPackage.scripts = { ...appPackage.scripts, [script]: value };
+		});
+	});
+	return appPackage;
+};
+
+// Returns the files the features create, relative to the app.
+const listFeatureFiles = (resolvedFeatures) =>
+	[].concat(
+		...resolvedFeatures.map((feature) => Object.keys(feature.files || {}))
+	);
+
+// Returns the features' files with their contents, as `{ file, contents }`.
+// A file that already exists in the app is a conflict. The context has the
+// `appName`, `packageManager`, `scripts`, whether the app `usesTypeScript`,
+// and whether it uses its workspace's babel.config.json (`sharedBabelConfig`).
+const renderFeatureFiles = (appPath, resolvedFeatures, context) => {
+	const fileContext = {
+		...context,
+		usesTypeScript:
+			context.usesTypeScript ||
+			resolvedFeatures.some((feature) => feature.name === 'typescript'),
+	};
+	return [].concat(
+		...resolvedFeatures.map((feature) =>
+			Object.keys(feature.files || {}).map((file) => {
+				if (fs.existsSync(path.join(appPath, file))) {
+					fail(`The ${feature.name} feature's ${file} already exists.`);
+				}
+				return { file, contents: feature.files[file](fileContext) };
+			})
+		)
+	);
+};
+
+const writeFeatureFiles = (appPath, files) => {
+	files.forEach(({ file, contents }) => {
+		recordWrite(path.join(appPath, file));
+		fs.outputFileSync(path.join(appPath, file), contents);
+	});
+};
+
+module.exports = {
+	features,
+	featureNames,
+	resolveFeatures,
+	getFeatureDependencies,
+	getFeatureBabelEntries,
+	mergeFeatureScripts,
+	listFeatureFiles,
+	renderFeatureFiles,
+	writeFeatureFiles,
+};
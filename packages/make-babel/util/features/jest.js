@@ -0,0 +1,29 @@
+'use strict';
+const os = require('os');
+
+// babel-jest picks up the app's babel.config.json, so tests can use the same
+// syntax as the sources. An app sharing its workspace's config sends it
+// looking above the app.
+module.exports = {
+	description: 'Jest, compiling tests with babel-jest',
+	devDependencies: ['jest', 'babel-jest'],
+	scripts: {
+		test: 'jest --passWithNoTests',
+	},
+	files: {
+		'jest.config.json': ({ sharedBabelConfig }) =>
+			JSON.stringify(
+				{
+					testEnvironment: 'node',
+					testPathIgnorePatterns: ['/node_modules/', '/dist/'],
+					...(sharedBabelConfig && {
+						transform: {
+							'\\.[jt]sx?$': ['babel-jest', { rootMode: 'upward' }],
+						},
+					}),
+				},
+				null,
+				2
+			) + os.EOL,
+	},
+};
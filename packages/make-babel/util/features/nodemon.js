@@ -0,0 +1,22 @@
+'use strict';
+
+// Restarts the template's `dev` script whenever a source file changes.
+const dev = (current) => {
+	if (current && current.startsWith('nodemon ')) {
+		return current;
+	}
+	return current
+		? `nodemon --watch src --ext js,ts,json --exec "${current.replace(
+				/"/g,
+				'\\"'
+		  )}"`
+		: 'nodemon --watch src --exec babel-node src/index.js';
+};
+
+module.exports = {
+	description: 'nodemon, restarting `dev` on changes',
+	devDependencies: ['nodemon'],
+	scripts: {
+		dev,
+	},
+};
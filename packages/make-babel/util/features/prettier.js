@@ -0,0 +1,15 @@
+'use strict';
+const os = require('os');
+
+module.exports = {
+	description: 'Prettier, to format the sources',
+	devDependencies: ['prettier'],
+	scripts: {
+		format: 'prettier --write src',
+	},
+	files: {
+		'.prettierrc.json': () =>
+			JSON.stringify({ singleQuote: true }, null, 2) + os.EOL,
+		'.prettierignore': () => ['dist', 'node_modules', ''].join(os.EOL),
+	},
+};
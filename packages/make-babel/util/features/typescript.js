@@ -0,0 +1,32 @@
+'use strict';
+const os = require('os');
+
+// Babel strips the types, so the CLIs running it need to pick up .ts files
+// too. `tsc` only checks the types.
+const withTypeScriptExtensions = (current) =>
+	current && !current.includes('--extensions')
+		? current.replace(/\bbabel(-node)? /g, 'babel$1 --extensions .ts,.js ')
+		: undefined;
+
+// The rest of the compiler options are filled in after installing, the same
+// way as for the TypeScript template. That relies on the compiler API, which
+// TypeScript 7 no longer has.
+module.exports = {
+	description: 'TypeScript, compiled by Babel and checked by tsc',
+	devDependencies: ['typescript@5', '@types/node'],
+	babelPresets: ['@babel/preset-typescript'],
+	scripts: {
+		'build-server': withTypeScriptExtensions,
+		dev: withTypeScriptExtensions,
+		typecheck: 'tsc --noEmit',
+	},
+	files: {
+		// allowJs, so that an app with no .ts files yet still has inputs.
+		'tsconfig.json': () =>
+			JSON.stringify(
+				{ compilerOptions: { allowJs: true }, include: ['src'] },
+				null,
+				2
+			) + os.EOL,
+	},
+};
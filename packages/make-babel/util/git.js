@@ -0,0 +1,111 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { logger } = require('./logger');
+const { recordWrite } = require('./journal');
+
+const gitignoreEntries = ['node_modules', 'dist'];
+const commitMessage = 'Initial commit from make-babel';
+
+const succeeds = (command, cwd) => {
+	try {
+		execSync(command, { cwd, stdio: 'ignore' });
+		return true;
+	} catch (e) {
+		return false;
+	}
+};
+
+// The directory may not exist yet, e.g. for a dry run.
+const nearestExistingDirectory = (dir) => {
+	while (!fs.existsSync(dir) && dir !== path.dirname(dir)) {
+		dir = path.dirname(dir);
+	}
+	return dir;
+};
+
+// A project inside an existing git or hg work tree is left to that repository.
+const canInitGit = (appPath) => {
+	const cwd = nearestExistingDirectory(appPath);
+	return (
+		succeeds('git --version', cwd) &&
+		!succeeds('git rev-parse --is-inside-work-tree', cwd) &&
+		!succeeds('hg --cwd . root', cwd)
+	);
+};
+
+const tryGitInit = (appPath) => {
+	if (!canInitGit(appPath)) {
+		return false;
+	}
+	try {
+		execSync('git init', { cwd: appPath, stdio: 'ignore' });
+		return true;
+	} catch (e) {
+		logger.warn(chalk.yellow(`Git repo not initialized: ${e.message}`));
+		return false;
+	}
+};
+
+// Appends the entries .gitignore contents don't have yet.
+const addGitignoreEntries = (existing, entries = gitignoreEntries) => {
+	const lines = existing.split(/\r?\n/).map((line) => line.trim());
+	const missing = entries.filter(
+		(entry, index) =>
+			entry && !lines.includes(entry) && entries.indexOf(entry) === index
+	);
+	if (!missing.length) {
+		return existing;
+	}
+	const separator = existing && !existing.endsWith('\n') ? os.EOL : '';
+	return existing + separator + missing.join(os.EOL) + os.EOL;
+};
+
+// Adds whatever the template's .gitignore is missing, or writes a new one.
+const writeGitignore = (appPath) => {
+	const gitignorePath = path.join(appPath, '.gitignore');
+	const existing = fs.existsSync(gitignorePath)
+		? fs.readFileSync(gitignorePath, 'utf8')
+		: '';
+	const contents = addGitignoreEntries(existing);
+	if (contents === existing) {
+		return;
+	}
+	recordWrite(gitignorePath);
+	fs.writeFileSync(gitignorePath, contents);
+};
+
+// Removes the repository again if the commit can't be made, e.g. when no git
+// user is configured.
+const tryGitCommit = (appPath) => {
+	try {
+		execSync('git add -A', { cwd: appPath, stdio: 'ignore' });
+		execSync(`git commit -m "${commitMessage}"`, {
+			cwd: appPath,
+			stdio: 'ignore',
+		});
+		return true;
+	} catch (e) {
+		logger.warn(chalk.yellow(`Git commit not created: ${e.message}`));
+		logger.warn('Removing .git directory...');
+		try {
+			fs.removeSync(path.join(appPath, '.git'));
+		} catch (removeErr) {
+			// Ignore.
+		}
+		return false;
+	}
+};
+
+module.exports = {
+	gitignoreEntries,
+	addGitignoreEntries,
+	commitMessage,
+	canInitGit,
+	tryGitInit,
+	writeGitignore,
+	tryGitCommit,
+};
@@ -0,0 +1,20 @@
+'use strict';
+const fs = require('fs');
+
+// Runs a single template hook in its own process, see templateHooks.js. The
+// hook's path is the only argument and the context is passed as JSON on stdin.
+const run = async () => {
+	const hookPath = process.argv[2];
+	const context = JSON.parse(fs.readFileSync(0, 'utf8'));
+	const hook = require(hookPath);
+	const fn = typeof hook === 'function' ? hook : hook.default;
+	if (typeof fn !== 'function') {
+		throw new Error(`${hookPath} does not export a function`);
+	}
+	await fn(context);
+};
+
+run().catch((err) => {
+	console.error((err && err.stack) || err);
+	process.exitCode = 1;
+});
@@ -1,37 +1,92 @@
 'use strict';
 const validateProjectName = require('validate-npm-package-name');
 const chalk = require('chalk');
+const http = require('http');
 const https = require('https');
 const semver = require('semver');
 const { sync } = require('cross-spawn');
+const { execSync } = require('child_process');
 const fs = require('fs-extra');
 const os = require('os');
 const path = require('path');
 const dns = require('dns');
+const url = require('url');
+const verifyTypeScriptSetup = require('./verifyTypeScriptSetup');
+const {
+	resolveTemplateVariables,
+	copyTemplateFiles,
+	parseGitTemplate,
+	isDirectTemplate,
+	fetchTemplate,
+	getTemplateCommit,
+} = require('./templateFiles');
+const { findCatalogTemplate } = require('./templateCatalog');
+const { viewTemplateManifest, checkTemplateEngines } = require('./engines');
+const { diagnoseProject, printNewAppProblems } = require('./doctor');
+const { logger } = require('./logger');
+const { runCommand } = require('./command');
+const { findWorkspace, getWorkspaceInstall } = require('./workspace');
+const { recordWrite, recordRename } = require('./journal');
+const { tryGitInit, writeGitignore, tryGitCommit } = require('./git');
+const { getTemplateHooks, runTemplateHook } = require('./templateHooks');
+const {
+	hasBabelOptions,
+	usesCoreJs,
+	addCoreJsImport,
+	writeBabelConfig,
+	addBabelPresetsAndPlugins,
+	addRootModeUpward,
+} = require('./babelConfig');
+const {
+	resolveFeatures,
+	getFeatureDependencies,
+	getFeatureBabelEntries,
+	mergeFeatureScripts,
+	renderFeatureFiles,
+	writeFeatureFiles,
+} = require('./features');
+const {
+	getBerryDescriptor,
+	resolveTemplatePath,
+	removeUnpluggedTemplate,
+} = require('./yarnBerry');
+const { getPackageManager, rewriteNpmCommands } = require('./packageManager');
+const { name: packageName } = require('../package.json');
+const {
+	MakeBabelError,
+	InvalidAppNameError,
+	CommandTimeoutError,
+	CancelledError,
+	TemplateError,
+} = require('./errors');
+
+// Names that would clash with the dependencies installed into every app.
+const reservedAppNames = ['@babel/core', '@babel/preset-env'].sort();
 
 const checkAppName = (appName) => {
 	const validationResult = validateProjectName(appName);
 	if (!validationResult.validForNewPackages) {
-		console.error(
+		const problems = [
+			...(validationResult.errors || []),
+			...(validationResult.warnings || []),
+		];
+		logger.error(
 			chalk.red(
 				`Cannot create a project named ${chalk.green(
 					`"${appName}"`
 				)} because of npm naming restrictions:\n`
 			)
 		);
-		[
-			...(validationResult.errors || []),
-			...(validationResult.warnings || []),
-		].forEach((error) => {
-			console.error(chalk.red(`  * ${error}`));
+		problems.forEach((error) => {
+			logger.error(chalk.red(`  * ${error}`));
 		});
-		console.error(chalk.red('\nPlease choose a different project name.'));
-		process.exit(1);
+		logger.error(chalk.red('\nPlease choose a different project name.'));
+		throw new InvalidAppNameError(appName, problems);
 	}
 
-	const dependencies = ['@babel/core', '@babel/preset-env'].sort();
+	const dependencies = reservedAppNames;
 	if (dependencies.includes(appName)) {
-		console.error(
+		logger.error(
 			chalk.red(
 				`Cannot create a project named ${chalk.green(
 					`"${appName}"`
@@ -41,30 +96,64 @@ const checkAppName = (appName) => {
 				chalk.cyan(dependencies.map((depName) => `  ${depName}`).join('\n')) +
 				chalk.red('\n\nPlease choose a different project name.')
 		);
-		process.exit(1);
+		throw new InvalidAppNameError(appName, [
+			'a dependency with the same name exists',
+		]);
 	}
 };
 
-const checkForLatestVersion = () => {
+// Same rules as `checkAppName`, but returns the first problem as a message
+// instead of throwing, so it can be used to validate input as it is typed.
+const validateAppName = (appName) => {
+	const validationResult = validateProjectName(appName);
+	if (!validationResult.validForNewPackages) {
+		const [problem] = [
+			...(validationResult.errors || []),
+			...(validationResult.warnings || []),
+		];
+		return `Invalid project name: ${problem}`;
+	}
+	if (reservedAppNames.includes(appName)) {
+		return `Invalid project name: a dependency named "${appName}" already exists`;
+	}
+	return true;
+};
+
+const defaultRegistry = 'https://registry.npmjs.org';
+
+// Resolves with the `latest` dist-tag of make-babel on the given registry.
+// Plain http registries work too, e.g. a local mirror. Gives up after
+// `timeout` milliseconds, if one is passed.
+const checkForLatestVersion = (registry = defaultRegistry, timeout) => {
+	const escapedName = packageName.replace('/', '%2f');
+	const registryUrl = registry.replace(/\/+$/, '');
+	const distTagsUrl = `${registryUrl}/-/package/${escapedName}/dist-tags`;
+	const client = distTagsUrl.startsWith('http:') ? http : https;
 	return new Promise((resolve, reject) => {
-		https
-			.get(
-				'https://registry.npmjs.org/-/package/@hackermans/make-babel/dist-tags',
-				(res) => {
-					if (res.statusCode === 200) {
-						let body = '';
-						res.on('data', (data) => (body += data));
-						res.on('end', () => {
+		const req = client
+			.get(distTagsUrl, (res) => {
+				if (res.statusCode === 200) {
+					let body = '';
+					res.on('data', (data) => (body += data));
+					res.on('end', () => {
+						try {
 							resolve(JSON.parse(body).latest);
-						});
-					} else {
-						reject(res.statusCode);
-					}
+						} catch (err) {
+							reject(err);
+						}
+					});
+				} else {
+					// Free the socket, or it keeps the process alive.
+					res.resume();
+					reject(res.statusCode);
 				}
-			)
+			})
 			.on('error', (err) => {
-				reject();
+				reject(err);
 			});
+		if (timeout) {
+			req.setTimeout(timeout, () => req.destroy());
+		}
 	});
 };
 
@@ -107,24 +196,24 @@ const isSafeToCreateProjectIn = (root, name) => {
 		.filter((file) => !isErrorLog(file));
 
 	if (conflicts.length > 0) {
-		console.log(
+		logger.log(
 			`The directory ${chalk.green(name)} contains files that could conflict:`
 		);
-		console.log();
+		logger.log();
 		for (const file of conflicts) {
 			try {
 				const stats = fs.lstatSync(path.join(root, file));
 				if (stats.isDirectory()) {
-					console.log(`  ${chalk.blue(`${file}/`)}`);
+					logger.log(`  ${chalk.blue(`${file}/`)}`);
 				} else {
-					console.log(`  ${file}`);
+					logger.log(`  ${file}`);
 				}
 			} catch (e) {
-				console.log(`  ${file}`);
+				logger.log(`  ${file}`);
 			}
 		}
-		console.log();
-		console.log(
+		logger.log();
+		logger.log(
 			'Either try using a new directory name, or remove the files listed above.'
 		);
 
@@ -144,7 +233,12 @@ const canNpmReadCWD = () => {
 	const cwd = process.cwd();
 	let childOutput = null;
 	try {
-		childOutput = sync('npm', ['config', 'list']).output.join('');
+		// npm refuses to list the config for a workspace package otherwise.
+		childOutput = sync('npm', [
+			'config',
+			'list',
+			'--workspaces=false',
+		]).output.join('');
 	} catch (e) {
 		return false;
 	}
@@ -163,7 +257,7 @@ const canNpmReadCWD = () => {
 	if (npmCWD === cwd) {
 		return true;
 	}
-	console.error(
+	logger.error(
 		chalk.red(
 			`Could not start an npm process in the right directory.\n\n` +
 				`The current directory is: ${chalk.bold(cwd)}\n` +
@@ -174,7 +268,7 @@ const canNpmReadCWD = () => {
 		)
 	);
 	if (process.platform === 'win32') {
-		console.error(
+		logger.error(
 			chalk.red(`On Windows, this can usually be fixed by running:\n\n`) +
 				`  ${chalk.cyan(
 					'reg'
@@ -191,246 +285,350 @@ const canNpmReadCWD = () => {
 	return false;
 };
 
-const install = (root, isYarn, dependencies, verbose, isOnline) => {
-	return new Promise((resolve, reject) => {
-		let command, args;
-		if (isYarn) {
-			command = 'yarnpkg';
-			args = ['add', '--exact'];
-			if (!isOnline) {
-				args.push('--offline');
-			}
-			[].push.apply(args, dependencies);
-			// Explicitly set cwd() to work around issues like
-			// Unfortunately we can only do this for Yarn because npm support for
-			// equivalent --prefix flag doesn't help with this issue.
-			// This is why for npm, we run checkThatNpmCanReadCwd() early instead.
-			args.push('--cwd');
-			args.push(root);
-
-			if (!isOnline) {
-				console.log(chalk.yellow('You appear to be offline.'));
-				console.log(chalk.yellow('Falling back to the local Yarn cache.'));
-				console.log();
-			}
-		} else {
-			command = 'npm';
-			args = [
-				'install',
-				'--no-audit',
-				'--save-exact',
-				'--loglevel',
-				'error',
-			].concat(dependencies);
+const getInstallCommand = (
+	root,
+	packageManager,
+	dependencies,
+	verbose,
+	isOnline,
+	usePnp
+) => {
+	const {
+		command,
+		addExact,
+		verbose: verboseArgs,
+	} = getPackageManager(packageManager);
+	let args = [...addExact];
+	if (packageManager === 'yarn') {
+		if (!isOnline) {
+			args.push('--offline');
 		}
-
-		if (verbose) {
-			args.push('--verbose');
+		if (usePnp) {
+			args.push('--enable-pnp');
 		}
+		[].push.apply(args, dependencies);
+		// Explicitly set cwd() to work around issues like
+		// Unfortunately we can only do this for Yarn because npm support for
+		// equivalent --prefix flag doesn't help with this issue.
+		// This is why for npm, we run checkThatNpmCanReadCwd() early instead.
+		args.push('--cwd');
+		args.push(root);
+	} else {
+		args = args.concat(dependencies);
+	}
 
-		const child = sync(command, args, { stdio: 'inherit' });
-		if (child.status !== 0) {
-			reject({ command: `${command} ${args.join(' ')}` });
-			return;
-		}
-		resolve();
-		// child.on('close', (code) => {
-		// 	if (code !== 0) {
-		// 		reject({
-		// 			command: `${command} ${args.join(' ')}`,
-		// 		});
-		// 		return;
-		// 	}
-		// 	resolve();
-		// });
+	if (verbose) {
+		args = args.concat(verboseArgs);
+	}
+	return { command, args };
+};
+
+// Runs a package manager command for the app at appPath, through the root
+// of the workspace it belongs to, if any.
+const runPackageManager = (packageManager, command, args, appPath, verbose) => {
+	const { cwd, args: workspaceArgs } = getWorkspaceInstall(
+		appPath,
+		packageManager,
+		args
+	);
+	return runCommand(command, workspaceArgs, { cwd, verbose });
+};
+
+const install = (
+	root,
+	packageManager,
+	dependencies,
+	verbose,
+	isOnline,
+	usePnp
+) => {
+	const { command, args } = getInstallCommand(
+		root,
+		packageManager,
+		dependencies,
+		verbose,
+		isOnline,
+		usePnp
+	);
+	if (packageManager === 'yarn' && !isOnline) {
+		logger.log(chalk.yellow('You appear to be offline.'));
+		logger.log(chalk.yellow('Falling back to the local Yarn cache.'));
+		logger.log();
+	}
+
+	return runPackageManager(packageManager, command, args, root, verbose);
+};
+
+// Works out which template to install and reads its package.json, so that
+// it can be checked before anything is written. Templates from git and local
+// directories are fetched into tmpDir, to be copied from there instead of
+// being installed. `manifest` is null if the registry can't be asked.
+const resolveTemplate = async (template, originalDirectory, tmpDir) => {
+	const templateToInstall = await getTemplateInstallPackage(
+		template,
+		originalDirectory
+	);
+	if (!isDirectTemplate(templateToInstall)) {
+		const manifest = viewTemplateManifest(templateToInstall);
+		logger.event('template-resolved', {
+			template: templateToInstall,
+			source: 'package',
+			...(manifest && { name: manifest.name, version: manifest.version }),
+		});
+		return { templateToInstall, fetchedTemplate: null, manifest };
+	}
+	const templatePath = fetchTemplate(templateToInstall, tmpDir);
+	const fetchedTemplate = {
+		spec: templateToInstall,
+		templatePath,
+		commit: parseGitTemplate(templateToInstall)
+			? getTemplateCommit(templatePath)
+			: undefined,
+	};
+	const manifest = fs.readJsonSync(path.join(templatePath, 'package.json'));
+	logger.event('template-resolved', {
+		template: templateToInstall,
+		source: fetchedTemplate.commit ? 'git' : 'directory',
+		name: manifest.name,
+		version: manifest.version,
+		...(fetchedTemplate.commit && { commit: fetchedTemplate.commit }),
 	});
+	return { templateToInstall, fetchedTemplate, manifest };
 };
 
-const run = (root, appName, verbose, originalDirectory, template, isYarn) => {
-	Promise.all([getTemplateInstallPackage(template, originalDirectory)]).then(
-		([templateToInstall]) => {
-			const allDependencies = ['@babel/core', '@babel/preset-env'];
+const run = (
+	root,
+	appName,
+	verbose,
+	originalDirectory,
+	resolvedTemplate,
+	packageManager,
+	templateVariables,
+	usePnp,
+	useGit,
+	babelOptions,
+	features
+) => {
+	const { templateToInstall, fetchedTemplate, manifest } = resolvedTemplate;
+	const allDependencies = ['@babel/core', '@babel/preset-env'];
+	if (usesCoreJs(babelOptions)) {
+		allDependencies.push('core-js@3');
+	}
 
-			console.log('Installing packages. This might take a couple of minutes.');
+	logger.log('Installing packages. This might take a couple of minutes.');
 
-			Promise.all([templateToInstall])
-				.then(([templateInfo]) =>
-					checkIfOnline(isYarn).then((isOnline) => ({
-						isOnline,
-						templateInfo,
-					}))
-				)
-				.then(({ isOnline, templateInfo }) => {
-					allDependencies.push(templateToInstall);
-
-					console.log(
-						`Installing ${chalk.cyan('@babel/core')}, ${chalk.cyan(
-							'@babel/preset-env'
-						)}, with ${chalk.cyan(templateInfo)}`
-					);
-					console.log();
-
-					return install(root, isYarn, allDependencies, verbose, isOnline).then(
-						() => templateInfo
-					);
-				})
-				.then(async (templateInfo) => {
-					const templateName = templateInfo;
-					checkNodeVersion();
-
-					await initializeTemplate(
-						root,
-						appName,
-						verbose,
-						originalDirectory,
-						templateName,
-						isYarn
-					);
-				})
-				.catch((reason) => {
-					console.log();
-					console.log('Aborting installation.');
-					if (reason.command) {
-						console.log(`  ${chalk.cyan(reason.command)} has failed.`);
-					} else {
-						console.log(
-							chalk.red('Unexpected error. Please report it as a bug:')
-						);
-						console.log(reason);
-					}
-					console.log();
-
-					// On 'exit' we will delete these files from target directory.
-					const knownGeneratedFiles = ['package.json', 'node_modules'];
-					const currentFiles = fs.readdirSync(path.join(root));
-					currentFiles.forEach((file) => {
-						knownGeneratedFiles.forEach((fileToMatch) => {
-							// This removes all knownGeneratedFiles.
-							if (file === fileToMatch) {
-								console.log(`Deleting generated file... ${chalk.cyan(file)}`);
-								fs.removeSync(path.join(root, file));
-							}
-						});
-					});
-					const remainingFiles = fs.readdirSync(path.join(root));
-					if (!remainingFiles.length) {
-						// Delete target folder if empty
-						console.log(
-							`Deleting ${chalk.cyan(`${appName}/`)} from ${chalk.cyan(
-								path.resolve(root, '..')
-							)}`
-						);
-						process.chdir(path.resolve(root, '..'));
-						fs.removeSync(path.join(root));
-					}
-					console.log('Done.');
-					process.exit(1);
-				});
-		}
+	return Promise.all([templateToInstall])
+		.then(([templateInfo]) =>
+			checkIfOnline(packageManager).then((isOnline) => ({
+				isOnline,
+				templateInfo,
+			}))
+		)
+		.then(({ isOnline, templateInfo }) => {
+			if (fetchedTemplate) {
+				logger.log(
+					`Installing ${allDependencies
+						.map((dependency) => chalk.cyan(dependency))
+						.join(', ')}, for ${chalk.cyan(templateInfo)}`
+				);
+			} else {
+				allDependencies.push(
+					packageManager === 'berry'
+						? getBerryDescriptor(templateToInstall)
+						: templateToInstall
+				);
+				logger.log(
+					`Installing ${allDependencies
+						.slice(0, -1)
+						.map((dependency) => chalk.cyan(dependency))
+						.join(', ')}, with ${chalk.cyan(templateInfo)}`
+				);
+			}
+			logger.log();
+
+			return install(
+				root,
+				packageManager,
+				allDependencies,
+				verbose,
+				isOnline,
+				usePnp
+			).then(() => templateInfo);
+		})
+		.then(async (templateInfo) => {
+			const templateName = fetchedTemplate
+				? manifest.name
+				: getTemplatePackageName(root, templateInfo);
+			if (!manifest) {
+				// The package manager has already run by now, so only Node
+				// and make-babel are left to check.
+				checkTemplateEngines(
+					fs.readJsonSync(
+						path.join(
+							resolveTemplatePath(root, templateName, packageManager),
+							'package.json'
+						)
+					),
+					packageManager,
+					null
+				);
+			}
+
+			const problems = await initializeTemplate(
+				root,
+				appName,
+				verbose,
+				originalDirectory,
+				templateName,
+				packageManager,
+				templateVariables,
+				useGit,
+				babelOptions,
+				features,
+				fetchedTemplate
+			);
+
+			const { dependencies = {} } = fs.readJsonSync(
+				path.join(root, 'package.json')
+			);
+			return {
+				appPath: root,
+				appName,
+				template: templateName,
+				templateSpec: templateToInstall,
+				packageManager,
+				dependencies,
+				problems,
+			};
+		})
+		.catch((reason) => {
+			logger.log();
+			logger.log('Aborting installation.');
+			if (
+				reason instanceof CommandTimeoutError ||
+				reason instanceof CancelledError
+			) {
+				logger.log(`  ${chalk.red(reason.message)}`);
+			} else if (reason.command) {
+				logger.log(`  ${chalk.cyan(reason.command)} has failed.`);
+			} else if (reason instanceof MakeBabelError) {
+				logger.log(`  ${chalk.red(reason.message)}`);
+			}
+			logger.log();
+			// The files written so far are rolled back by createProject.
+			throw reason;
+		});
+};
+
+const installDependencies = async (
+	packageManager,
+	verbose,
+	dependencies,
+	dev,
+	appPath = process.cwd()
+) => {
+	if (!dependencies.length) {
+		return;
+	}
+	const {
+		command,
+		add,
+		addDev,
+		verbose: verboseArgs,
+	} = getPackageManager(packageManager);
+	const args = [
+		...(dev ? addDev : add),
+		...(verbose ? verboseArgs : []),
+		...dependencies,
+	];
+	logger.log();
+	logger.log(
+		`Installing ${dev ? 'devDependencies' : 'dependencies'} using ${command}...`
 	);
+	logger.log();
+
+	await runPackageManager(packageManager, command, args, appPath, verbose);
 };
 
-const initializeTemplate = (
+const initializeTemplate = async (
 	appPath,
 	appName,
 	verbose,
 	originalDirectory,
 	templateName,
-	isYarn
+	packageManager,
+	templateVariables,
+	useGit,
+	babelOptions = {},
+	features = [],
+	fetchedTemplate = null
 ) => {
-	const appPackage = require(path.join(appPath, 'package.json'));
+	const appPackage = fs.readJsonSync(path.join(appPath, 'package.json'));
 	if (!templateName) {
-		console.log();
-		console.error(`${chalk.red('A template was not provided.')}`);
-		console.error(
+		logger.log();
+		logger.error(`${chalk.red('A template was not provided.')}`);
+		logger.error(
 			`Please note that global installs of ${chalk.cyan(
 				'make-babel'
 			)} are not supported.`
 		);
-		console.error(
+		logger.error(
 			`You can fix this by running ${chalk.cyan(
 				'npm uninstall -g @hackermans/make-babel'
 			)} or ${chalk.cyan(
 				'yarn global remove @hackermans/make-babel'
 			)} and using ${chalk.cyan('npx @hackermans/make-babel')} instead.`
 		);
-		return;
+		throw new TemplateError('A template was not provided.');
 	}
 
-	const templatePath = path.dirname(
-		require.resolve(`${templateName}/package.json`, { paths: [appPath] })
-	);
+	const templatePath = fetchedTemplate
+		? fetchedTemplate.templatePath
+		: resolveTemplatePath(appPath, templateName, packageManager);
 
 	const templateJsonPath = path.join(templatePath, 'template.json');
 	let templateJson = {};
 	if (fs.existsSync(templateJsonPath)) {
-		templateJson = require(templateJsonPath);
+		templateJson = fs.readJsonSync(templateJsonPath);
 	}
 	const templatePackage = templateJson.package || {};
-
-	// Keys to ignore in templatePackage
-	const templatePackageBlacklist = [
-		'name',
-		'version',
-		'description',
-		'keywords',
-		'bugs',
-		'license',
-		'author',
-		'contributors',
-		'files',
-		'browser',
-		'bin',
-		'man',
-		'directories',
-		'repository',
-		'peerDependencies',
-		'bundledDependencies',
-		'optionalDependencies',
-		'engineStrict',
-		'os',
-		'cpu',
-		'preferGlobal',
-		'private',
-		'publishConfig',
-	];
-
-	// Keys from templatePackage that will be merged with appPackage
-	const templatePackageToMerge = ['dependencies', 'scripts'];
-
-	// Keys from templatePackage that will be added to appPackage,
-	// replacing any existing entries.
-	const templatePackageToReplace = Object.keys(templatePackage).filter(
-		(key) => {
-			return (
-				!templatePackageBlacklist.includes(key) &&
-				!templatePackageToMerge.includes(key)
-			);
-		}
+	const variables = resolveTemplateVariables(
+		templateJson,
+		appName,
+		templateVariables
 	);
+	const hooks = getTemplateHooks(templateJson, templatePath);
+	const hookContext = {
+		appPath,
+		appName,
+		templateName,
+		// Yarn 2+ is an implementation detail.
+		packageManager: packageManager === 'berry' ? 'yarn' : packageManager,
+		variables,
+		options: { verbose, git: useGit },
+	};
 
-	// Copy over some of the devDependencies
-	appPackage.dependencies = appPackage.dependencies || {};
-
-	// Setup the script rules
-	const templateScripts = templatePackage.scripts || {};
-	appPackage.scripts = Object.assign({}, templateScripts);
-
-	// Update scripts for Yarn users
-	if (isYarn) {
-		appPackage.scripts = Object.entries(appPackage.scripts).reduce(
-			(acc, [key, value]) => ({
-				...acc,
-				[key]: value.replace(/(npm run |npm )/, 'yarn '),
-			}),
-			{}
-		);
+	mergeTemplatePackage(appPackage, templatePackage, packageManager);
+	appPackage.makeBabel = getTemplateRecord(
+		templatePath,
+		templateName,
+		variables,
+		fetchedTemplate
+	);
+	// The workspace's babel.config.json is used instead of the app's own.
+	const babelConfigRoot = babelOptions.sharedBabelConfig
+		? findWorkspace(appPath).root
+		: appPath;
+	if (babelOptions.sharedBabelConfig) {
+		appPackage.makeBabel.sharedBabelConfig = true;
+		addRootModeUpward(appPackage.scripts);
+	}
+	if (babelOptions.modules === 'esm') {
+		// So that Node runs the compiled output as ES modules.
+		appPackage.type = 'module';
 	}
-	// Add templatePackage keys/values to appPackage, replacing existing entries
-	templatePackageToReplace.forEach((key) => {
-		appPackage[key] = templatePackage[key];
-	});
 
+	recordWrite(path.join(appPath, 'package.json'));
 	fs.writeFileSync(
 		path.join(appPath, 'package.json'),
 		JSON.stringify(appPackage, null, 2) + os.EOL
@@ -438,30 +636,90 @@ const initializeTemplate = (
 
 	const readmeExists = fs.existsSync(path.join(appPath, 'README.md'));
 	if (readmeExists) {
+		recordRename(
+			path.join(appPath, 'README.md'),
+			path.join(appPath, 'README.old.md')
+		);
 		fs.renameSync(
 			path.join(appPath, 'README.md'),
 			path.join(appPath, 'README.old.md')
 		);
 	}
 
+	runTemplateHook('preCopy', hooks, hookContext, templateJson.hookTimeout);
+
 	// Copy the files for the user
 	const templateDir = path.join(templatePath, 'template');
 	if (fs.existsSync(templateDir)) {
-		fs.copySync(templateDir, appPath);
+		const files = copyTemplateFiles(templateDir, appPath, variables);
+		logger.event('files-copied', { files });
 	} else {
-		console.error(
+		logger.error(
 			`Could not locate supplied template: ${chalk.green(templateDir)}`
 		);
-		return;
+		throw new TemplateError(
+			`Could not locate supplied template: ${templateDir}`
+		);
+	}
+	if (babelOptions.sharedBabelConfig) {
+		fs.removeSync(path.join(appPath, 'babel.config.json'));
+	}
+
+	if (hasBabelOptions(babelOptions)) {
+		writeBabelConfig(appPath, appPackage, babelOptions);
+	}
+	if (babelOptions.polyfills === 'entry' && !addCoreJsImport(appPath)) {
+		logger.warn(
+			chalk.yellow(
+				`Add ${chalk.cyan(
+					"import 'core-js/stable';"
+				)} to the top of your entry point to load the polyfills.`
+			)
+		);
+	}
+
+	// Add the features' scripts, files and Babel plugins
+	const resolvedFeatures = resolveFeatures(features);
+	if (resolvedFeatures.length) {
+		mergeFeatureScripts(appPackage, resolvedFeatures);
+		if (babelOptions.sharedBabelConfig) {
+			addRootModeUpward(appPackage.scripts);
+		}
+		recordWrite(path.join(appPath, 'package.json'));
+		fs.writeFileSync(
+			path.join(appPath, 'package.json'),
+			JSON.stringify(appPackage, null, 2) + os.EOL
+		);
+		writeFeatureFiles(
+			appPath,
+			renderFeatureFiles(appPath, resolvedFeatures, {
+				appName,
+				packageManager,
+				scripts: appPackage.scripts || {},
+				usesTypeScript: usesTypeScript(appPath, templatePackage),
+				sharedBabelConfig: Boolean(babelOptions.sharedBabelConfig),
+			})
+		);
+		addBabelPresetsAndPlugins(
+			babelConfigRoot,
+			getFeatureBabelEntries(resolvedFeatures)
+		);
+	}
+
+	// Initialize git repo
+	const initializedGit = useGit && tryGitInit(appPath);
+	if (initializedGit) {
+		writeGitignore(appPath);
 	}
 
 	// modifies README.md commands based on user used package manager.
-	if (isYarn) {
+	if (packageManager !== 'npm') {
 		try {
 			const readme = fs.readFileSync(path.join(appPath, 'README.md'), 'utf8');
+			recordWrite(path.join(appPath, 'README.md'));
 			fs.writeFileSync(
 				path.join(appPath, 'README.md'),
-				readme.replace(/(npm run |npm )/g, 'yarn '),
+				rewriteNpmCommands(readme, packageManager),
 				'utf8'
 			);
 		} catch (err) {
@@ -469,60 +727,72 @@ const initializeTemplate = (
 		}
 	}
 
-	let command, remove, args;
+	runTemplateHook('postCopy', hooks, hookContext, templateJson.hookTimeout);
 
-	if (isYarn) {
-		command = 'yarnpkg';
-		remove = 'remove';
-		args = ['add'];
-	} else {
-		command = 'npm';
-		remove = 'uninstall';
-		args = ['install', '--no-audit', '--save', verbose && '--verbose'].filter(
-			(e) => e
-		);
-	}
+	const { command, remove, args, dependencies } = getTemplateCommands(
+		appPackage,
+		templatePackage,
+		verbose,
+		packageManager
+	);
 
-	// Install additional template dependencies, if present
-	const dependenciesToInstall = Object.entries({
-		...templatePackage.dependencies,
-		...templatePackage.devDependencies,
-	});
-	if (dependenciesToInstall.length) {
-		args = args.concat(
-			dependenciesToInstall.map(([name, version]) => `${name}@${version}`)
-		);
+	// Installing required dependencies
+	if (dependencies.length) {
+		logger.log();
+		logger.log(`Installing template dependencies using ${command}...`);
+		logger.log();
+
+		await runPackageManager(packageManager, command, args, appPath, verbose);
 	}
 
-	// Install babel-core and babel-preset-env.
-	if (!isBabelInstalled(appPackage)) {
-		args = args.concat(['@babel/core', '@babel/preset-env']);
+	// Installing the features' dependencies
+	const featureDependencies = getFeatureDependencies(resolvedFeatures);
+	await installDependencies(
+		packageManager,
+		verbose,
+		featureDependencies.dependencies,
+		false,
+		appPath
+	);
+	await installDependencies(
+		packageManager,
+		verbose,
+		featureDependencies.devDependencies,
+		true,
+		appPath
+	);
+
+	if (usesTypeScript(appPath, templatePackage)) {
+		verifyTypeScriptSetup(appPath);
 	}
 
-	// Installing required dependencies
-	if ((!isBabelInstalled(appPackage) || templateName) && args.length > 1) {
-		console.log();
-		console.log(`Installing template dependencies using ${command}...`);
-		console.log();
-
-		const proc = sync(command, args, { stdio: 'inherit' });
-		if (proc.status !== 0) {
-			console.error(`\`${command} ${args.join(' ')}\` failed`);
-			return;
+	runTemplateHook('postInstall', hooks, hookContext, templateJson.hookTimeout);
+
+	// Remove template, unless it was copied from git or a local directory
+	if (!fetchedTemplate) {
+		logger.log(`Removing template package using ${command}...`);
+
+		await runPackageManager(
+			packageManager,
+			command,
+			[...remove, templateName],
+			appPath,
+			verbose
+		);
+		if (packageManager === 'berry') {
+			removeUnpluggedTemplate(appPath, templateName);
 		}
 	}
 
-	// Remove template
-	console.log(`Removing template package using ${command}...`);
-
-	const proc = sync(command, [remove, templateName], {
-		stdio: 'inherit',
-	});
-	if (proc.status !== 0) {
-		console.error(`\`${command} ${remove} ${templateName}\` failed`);
-		return;
+	// Create git commit if git repo was initialized
+	if (initializedGit && tryGitCommit(appPath)) {
+		logger.log();
+		logger.log('Created git commit.');
 	}
 
+	const { problems } = diagnoseProject(appPath);
+	printNewAppProblems(problems);
+
 	let cdpath;
 	if (originalDirectory && path.join(originalDirectory, appName) === appPath) {
 		cdpath = appName;
@@ -530,35 +800,187 @@ const initializeTemplate = (
 		cdpath = appPath;
 	}
 
-	const displayedCommand = isYarn ? 'yarn' : 'npm';
-	console.log();
-	console.log(`Success! Created ${appName} at ${appPath}`);
-	console.log('Inside that directory, you can run several commands:');
-	console.log();
-	console.log(chalk.cyan(`  ${displayedCommand} start`));
-	console.log('    Starts the development server.');
-	console.log();
-	console.log('Happy hacking!');
+	logger.log();
+	logger.log(`Success! Created ${appName} at ${appPath}`);
+	logger.log('Inside that directory, you can run several commands:');
+	logger.log();
+	logger.log(
+		chalk.cyan(`  ${rewriteNpmCommands('npm start', packageManager)}`)
+	);
+	logger.log('    Starts the development server.');
+	logger.log();
+	logger.log('Happy hacking!');
+	return problems;
+};
+
+// Keys to ignore in templatePackage
+const templatePackageBlacklist = [
+	'name',
+	'version',
+	'description',
+	'keywords',
+	'bugs',
+	'license',
+	'author',
+	'contributors',
+	'files',
+	'browser',
+	'bin',
+	'man',
+	'directories',
+	'repository',
+	'peerDependencies',
+	'bundledDependencies',
+	'optionalDependencies',
+	'engineStrict',
+	'os',
+	'cpu',
+	'preferGlobal',
+	'private',
+	'publishConfig',
+];
+
+// Keys from templatePackage that will be merged with appPackage
+const templatePackageToMerge = ['dependencies', 'scripts'];
+
+// Keys from templatePackage that will be added to appPackage,
+// replacing any existing entries.
+const getTemplatePackageToReplace = (templatePackage) =>
+	Object.keys(templatePackage).filter((key) => {
+		return (
+			!templatePackageBlacklist.includes(key) &&
+			!templatePackageToMerge.includes(key)
+		);
+	});
+
+// Merges the template's `package` fields from template.json into appPackage.
+const mergeTemplatePackage = (appPackage, templatePackage, packageManager) => {
+	const templatePackageToReplace = getTemplatePackageToReplace(templatePackage);
+
+	// Copy over some of the devDependencies
+	appPackage.dependencies = appPackage.dependencies || {};
+
+	// Setup the script rules
+	const templateScripts = templatePackage.scripts || {};
+	appPackage.scripts = Object.assign({}, templateScripts);
+
+	// Update scripts for Yarn, pnpm and Bun users
+	if (packageManager !== 'npm') {
+		appPackage.scripts = Object.entries(appPackage.scripts).reduce(
+			(acc, [key, value]) => ({
+				...acc,
+				[key]: rewriteNpmCommands(value, packageManager),
+			}),
+			{}
+		);
+	}
+	// Add templatePackage keys/values to appPackage, replacing existing entries
+	templatePackageToReplace.forEach((key) => {
+		appPackage[key] = templatePackage[key];
+	});
+
+	return appPackage;
+};
+
+// Recorded as `makeBabel` in the app's package.json, so that `make-babel
+// upgrade` knows which template version the app was created from. A template
+// fetched from git or a local directory is recorded by its spec, along with
+// the commit it was at.
+const getTemplateRecord = (
+	templatePath,
+	templateName,
+	variables,
+	fetchedTemplate
+) => ({
+	template: fetchedTemplate ? fetchedTemplate.spec : templateName,
+	templateVersion: fs.readJsonSync(path.join(templatePath, 'package.json'))
+		.version,
+	...(fetchedTemplate &&
+		fetchedTemplate.commit && { templateCommit: fetchedTemplate.commit }),
+	variables,
+});
+
+// The commands `initializeTemplate` uses to install the template's own
+// dependencies, and to remove the template package afterwards.
+const getTemplateCommands = (
+	appPackage,
+	templatePackage,
+	verbose,
+	packageManager
+) => {
+	const {
+		command,
+		add,
+		remove,
+		verbose: verboseArgs,
+	} = getPackageManager(packageManager);
+
+	// Install additional template dependencies, if present
+	let dependencies = Object.entries({
+		...templatePackage.dependencies,
+		...templatePackage.devDependencies,
+	}).map(([name, version]) => `${name}@${version}`);
+
+	// Install babel-core and babel-preset-env.
+	if (!isBabelInstalled(appPackage)) {
+		dependencies = dependencies.concat(['@babel/core', '@babel/preset-env']);
+	}
+
+	const args = [...add, ...(verbose ? verboseArgs : []), ...dependencies];
+	return { command, remove, args, dependencies };
 };
 
-// Add verify Typescript method in the future
+const usesTypeScript = (appPath, templatePackage) => {
+	const dependencies = {
+		...templatePackage.dependencies,
+		...templatePackage.devDependencies,
+	};
+	return (
+		typeof dependencies.typescript !== 'undefined' ||
+		fs.existsSync(path.join(appPath, 'tsconfig.json'))
+	);
+};
 
 const isBabelInstalled = (appPackage) => {
 	const dependencies = appPackage.dependencies || {};
 	return (
 		typeof dependencies['@babel/core'] !== 'undefined' &&
-		dependencies['@babel/preset-env'] !== 'undefined'
+		typeof dependencies['@babel/preset-env'] !== 'undefined'
 	);
 };
 
+// Short names accepted by `--template`, as listed in the `--help` output.
+const templateAliases = {
+	js: 'cba-template',
+	ts: 'typescript',
+};
+
 const getTemplateInstallPackage = (template, originalDirectory) => {
-	let templateToInstall = '@hackermans/cba-template';
+	const templatePrefix = 'cba-template';
+	let templateToInstall = `@hackermans/${templatePrefix}`;
+	if (template && templateAliases[template]) {
+		template = templateAliases[template];
+	} else if (template) {
+		// Names registered in the template catalog win over npm packages.
+		const entry = findCatalogTemplate(template);
+		if (entry) {
+			template = entry.template;
+		}
+	}
 	if (template) {
 		if (template.match(/^file:/)) {
 			templateToInstall = `file:${path.resolve(
 				originalDirectory,
 				template.match(/^file:(.*)?$/)[1]
 			)}`;
+		} else if (template.startsWith('.') || path.isAbsolute(template)) {
+			// A local directory, e.g. a template being worked on
+			templateToInstall = `file:${path.resolve(originalDirectory, template)}`;
+		} else if (parseGitTemplate(template)) {
+			templateToInstall = template;
+		} else if (template.startsWith('npm:')) {
+			// Any package as is, e.g. one not named cba-template-NAME
+			templateToInstall = template.slice('npm:'.length);
 		} else if (
 			template.includes('://') ||
 			template.match(/^.+\.(tgz|tar\.gz)$/)
@@ -566,7 +988,7 @@ const getTemplateInstallPackage = (template, originalDirectory) => {
 			// for tar.gz or alternative paths
 			templateToInstall = template;
 		} else {
-			// Add prefix 'cra-template-' to non-prefixed templates, leaving any
+			// Add prefix 'cba-template-' to non-prefixed templates, leaving any
 			// @scope/ and @version intact.
 			const packageMatch = template.match(/^(@[^/]+\/)?([^@]+)?(@.+)?$/);
 			const scope = packageMatch[1] || '';
@@ -574,23 +996,27 @@ const getTemplateInstallPackage = (template, originalDirectory) => {
 			const version = packageMatch[3] || '';
 
 			if (
-				templateName === templateToInstall ||
-				templateName.startsWith(`${templateToInstall}-`)
+				templateName === templatePrefix ||
+				templateName.startsWith(`${templatePrefix}-`)
 			) {
 				// Covers:
 				// - cba-template
 				// - @SCOPE/cba-template
 				// - cba-template-NAME
 				// - @SCOPE/cba-template-NAME
-				templateToInstall = `${scope}${templateName}${version}`;
+				templateToInstall = `${
+					scope || '@hackermans/'
+				}${templateName}${version}`;
 			} else if (version && !scope && !templateName) {
 				// Covers using @SCOPE only
-				templateToInstall = `${version}/${templateToInstall}`;
+				templateToInstall = `${version}/${templatePrefix}`;
 			} else {
 				// Covers templates without the `cba-template` prefix:
 				// - NAME
 				// - @SCOPE/NAME
-				templateToInstall = `${scope}${templateToInstall}-${templateName}${version}`;
+				templateToInstall = `${
+					scope || '@hackermans/'
+				}${templatePrefix}-${templateName}${version}`;
 			}
 		}
 	}
@@ -598,41 +1024,28 @@ const getTemplateInstallPackage = (template, originalDirectory) => {
 	return Promise.resolve(templateToInstall);
 };
 
-const checkNodeVersion = () => {
-	const packageJsonPath = path.resolve(
-		process.cwd(),
-		'node_modules',
-		'package.json'
+// `file:` paths, URLs and tarballs don't carry the package name, so look up
+// the template's name from the dependency it was installed as.
+const getTemplatePackageName = (root, templateToInstall) => {
+	const packageMatch = templateToInstall.match(
+		/^(@[^/@]+\/[^@]+|[^@:/]+)(@.+)?$/
 	);
-
-	if (!fs.existsSync(packageJsonPath)) {
-		return;
-	}
-
-	const packageJson = require(packageJsonPath);
-	if (!packageJson.engines || !packageJson.engines.node) {
-		return;
-	}
-
-	if (!semver.satisfies(process.version, packageJson.engines.node)) {
-		console.error(
-			chalk.red(
-				'You are running Node %s.\n' +
-					'Make Babel requires Node %s or higher. \n' +
-					'Please update your version of Node.'
-			),
-			process.version,
-			packageJson.engines.node
-		);
-		process.exit(1);
+	if (packageMatch) {
+		return packageMatch[1];
 	}
+	const { dependencies = {} } = fs.readJsonSync(
+		path.join(root, 'package.json')
+	);
+	return Object.keys(dependencies).find(
+		(name) => !['@babel/core', '@babel/preset-env'].includes(name)
+	);
 };
 
 const checkNpmVersion = () => {
 	let hasMinNpm = false;
 	let npmVersion = null;
 	try {
-		npmVersion = fs.execSync('npm --version').toString().trim();
+		npmVersion = execSync('npm --version', { stdio: 'pipe' }).toString().trim();
 		hasMinNpm = semver.gte(npmVersion, '6.0.0');
 	} catch (err) {
 		// ignore
@@ -643,8 +1056,23 @@ const checkNpmVersion = () => {
 	};
 };
 
-const checkIfOnline = (useYarn) => {
-	if (!useYarn) {
+const getProxy = () => {
+	if (process.env.https_proxy) {
+		return process.env.https_proxy;
+	}
+	try {
+		// Trying to read https-proxy from .npmrc
+		const httpsProxy = sync('npm', ['config', 'get', 'https-proxy'])
+			.stdout.toString()
+			.trim();
+		return httpsProxy !== 'null' ? httpsProxy : undefined;
+	} catch (e) {
+		return;
+	}
+};
+
+const checkIfOnline = (packageManager) => {
+	if (packageManager !== 'yarn') {
 		// Don't ping the Yarn registry.
 		// We'll just assume the best case.
 		return Promise.resolve(true);
@@ -673,7 +1101,9 @@ const checkYarnVersion = () => {
 	let hasMaxYarnPnp = false;
 	let yarnVersion = null;
 	try {
-		yarnVersion = fs.execSync('yarnpkg --version').toString().trim();
+		yarnVersion = execSync('yarnpkg --version', { stdio: 'pipe' })
+			.toString()
+			.trim();
 		if (semver.valid(yarnVersion)) {
 			hasMinYarnPnp = semver.gte(yarnVersion, minYarnPnp);
 			hasMaxYarnPnp = semver.lt(yarnVersion, maxYarnPnp);
@@ -698,14 +1128,62 @@ const checkYarnVersion = () => {
 	};
 };
 
+const checkPnpmVersion = () => {
+	let hasMinPnpm = false;
+	let pnpmVersion = null;
+	try {
+		pnpmVersion = execSync('pnpm --version', { stdio: 'pipe' })
+			.toString()
+			.trim();
+		hasMinPnpm = semver.gte(pnpmVersion, '6.0.0');
+	} catch (err) {
+		// ignore
+	}
+	return {
+		hasMinPnpm: hasMinPnpm,
+		pnpmVersion: pnpmVersion,
+	};
+};
+
+const checkBunVersion = () => {
+	let hasMinBun = false;
+	let bunVersion = null;
+	try {
+		bunVersion = execSync('bun --version', { stdio: 'pipe' }).toString().trim();
+		hasMinBun = semver.gte(bunVersion, '1.0.0');
+	} catch (err) {
+		// ignore
+	}
+	return {
+		hasMinBun: hasMinBun,
+		bunVersion: bunVersion,
+	};
+};
+
 module.exports = {
+	resolveTemplate,
 	run,
 	install,
+	getInstallCommand,
+	mergeTemplatePackage,
+	getTemplatePackageToReplace,
+	getTemplateRecord,
+	getTemplateCommands,
+	installDependencies,
+	runPackageManager,
+	isBabelInstalled,
+	checkIfOnline,
+	getProxy,
 	checkAppName,
+	validateAppName,
 	canNpmReadCWD,
+	defaultRegistry,
 	checkForLatestVersion,
 	isSafeToCreateProjectIn,
 	checkNpmVersion,
 	checkYarnVersion,
+	checkPnpmVersion,
+	checkBunVersion,
+	templateAliases,
 	getTemplateInstallPackage,
 };
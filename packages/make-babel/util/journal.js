@@ -0,0 +1,141 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Records every change make-babel makes to the app directory, so that a
+// failed or interrupted run can be rolled back. Like the logger, there is a
+// single journal, as only one project can be created at a time.
+let journal = null;
+
+// Starts recording changes to root. Anything already in root is left alone on
+// rollback, unless it was modified or renamed through the journal.
+const startJournal = (root) => {
+	const rootExisted = fs.existsSync(root);
+	journal = {
+		root,
+		rootExisted,
+		initialEntries: rootExisted ? fs.readdirSync(root) : [],
+		entries: [],
+	};
+};
+
+const isRecorded = (filePath) =>
+	journal.entries.some(
+		(entry) => entry.path === filePath || entry.to === filePath
+	);
+
+// Records the directories that writing filePath would create.
+const recordMissingDirectories = (filePath) => {
+	const missing = [];
+	let dir = path.dirname(filePath);
+	while (!fs.existsSync(dir) && dir !== path.dirname(dir)) {
+		missing.unshift(dir);
+		dir = path.dirname(dir);
+	}
+	missing.forEach((missingDir) => {
+		journal.entries.push({ type: 'mkdir', path: missingDir });
+	});
+};
+
+// Call before creating or overwriting filePath.
+const recordWrite = (filePath) => {
+	if (!journal || isRecorded(filePath)) {
+		return;
+	}
+	if (fs.existsSync(filePath)) {
+		journal.entries.push({
+			type: 'modify',
+			path: filePath,
+			contents: fs.readFileSync(filePath),
+		});
+	} else {
+		recordMissingDirectories(filePath);
+		journal.entries.push({ type: 'create', path: filePath });
+	}
+};
+
+// Call before renaming from to to.
+const recordRename = (from, to) => {
+	if (!journal) {
+		return;
+	}
+	recordWrite(to);
+	journal.entries.push({ type: 'rename', path: from, to });
+};
+
+const undo = (entry) => {
+	const relativePath = path.relative(journal.root, entry.path);
+	switch (entry.type) {
+		case 'create':
+		case 'mkdir':
+			if (fs.existsSync(entry.path)) {
+				logger.log(`Deleting generated file... ${chalk.cyan(relativePath)}`);
+				fs.removeSync(entry.path);
+			}
+			break;
+		case 'modify':
+			logger.log(`Restoring ${chalk.cyan(relativePath)}`);
+			fs.outputFileSync(entry.path, entry.contents);
+			break;
+		case 'rename':
+			if (fs.existsSync(entry.to)) {
+				logger.log(
+					`Renaming ${chalk.cyan(
+						path.relative(journal.root, entry.to)
+					)} back to ${chalk.cyan(relativePath)}`
+				);
+				fs.renameSync(entry.to, entry.path);
+			}
+			break;
+	}
+};
+
+// Undoes everything recorded since startJournal, newest first, then removes
+// whatever else was added to root (installed packages, lockfiles).
+const rollback = () => {
+	if (!journal) {
+		return;
+	}
+	const { root, rootExisted, initialEntries, entries } = journal;
+	try {
+		entries.slice().reverse().forEach(undo);
+
+		if (fs.existsSync(root)) {
+			fs.readdirSync(root)
+				.filter((file) => !initialEntries.includes(file))
+				.forEach((file) => {
+					logger.log(`Deleting generated file... ${chalk.cyan(file)}`);
+					fs.removeSync(path.join(root, file));
+				});
+
+			if (!rootExisted && !fs.readdirSync(root).length) {
+				logger.log(
+					`Deleting ${chalk.cyan(`${path.basename(root)}/`)} from ${chalk.cyan(
+						path.resolve(root, '..')
+					)}`
+				);
+				process.chdir(path.resolve(root, '..'));
+				fs.removeSync(root);
+			}
+		}
+	} finally {
+		journal = null;
+	}
+};
+
+const clearJournal = () => {
+	journal = null;
+};
+
+const isJournaling = () => journal !== null;
+
+module.exports = {
+	startJournal,
+	recordWrite,
+	recordRename,
+	rollback,
+	clearJournal,
+	isJournaling,
+};
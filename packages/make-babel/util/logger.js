@@ -0,0 +1,37 @@
+'use strict';
+
+// Everything make-babel prints goes through this logger, so that the Node API
+// can redirect or silence it. The CLI keeps the default, the console.
+//
+// A target with an `event` method also hears about each step, e.g.
+// `event('install-started', { command, cwd })`, which is how `--json` writes
+// its events. A target with a `stream` gets the package manager's output and
+// the install spinner instead of stdout.
+let target = console;
+
+const logger = {
+	log: (...args) => target.log(...args),
+	warn: (...args) => (target.warn ? target.warn(...args) : target.log(...args)),
+	error: (...args) =>
+		target.error ? target.error(...args) : target.log(...args),
+	event: (name, data = {}) => {
+		if (target.event) {
+			target.event(name, data);
+		}
+	},
+};
+
+const getOutputStream = () => target.stream || process.stdout;
+
+// Returns the previous logger, so it can be restored afterwards.
+const setLogger = (nextTarget) => {
+	const previousTarget = target;
+	target = nextTarget || console;
+	return previousTarget;
+};
+
+module.exports = {
+	logger,
+	getOutputStream,
+	setLogger,
+};
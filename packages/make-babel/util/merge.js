@@ -0,0 +1,134 @@
+'use strict';
+const { diffArrays } = require('diff');
+
+// Lines keep their line endings, so that merging doesn't change them.
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+// The changes that turn base into other, as the range of base lines each one
+// replaces, `[start, end)`, and the lines it replaces them with.
+const getEdits = (base, other) => {
+	const edits = [];
+	let index = 0;
+	diffArrays(base, other).forEach((part) => {
+		if (!part.added && !part.removed) {
+			index += part.value.length;
+			return;
+		}
+		// A removal next to an addition is a single replacement.
+		let edit = edits[edits.length - 1];
+		if (!edit || edit.end !== index) {
+			edit = { start: index, end: index, lines: [] };
+			edits.push(edit);
+		}
+		if (part.removed) {
+			index += part.value.length;
+			edit.end = index;
+		} else {
+			edit.lines.push(...part.value);
+		}
+	});
+	return edits;
+};
+
+const withNewline = (lines) => {
+	const last = lines[lines.length - 1];
+	return last === undefined || last.endsWith('\n')
+		? lines
+		: [...lines.slice(0, -1), `${last}\n`];
+};
+
+// Merges the changes made to base in ours and in theirs, like `git
+// merge-file`. Changes that touch the same or adjacent lines differently are
+// conflicts, which are left in the text between conflict markers labelled
+// with `labels.ours` and `labels.theirs`.
+const mergeText = (base, ours, theirs, labels) => {
+	const baseLines = splitLines(base);
+	const edits = [
+		...getEdits(baseLines, splitLines(ours)).map((edit) => ({
+			...edit,
+			side: 'ours',
+		})),
+		...getEdits(baseLines, splitLines(theirs)).map((edit) => ({
+			...edit,
+			side: 'theirs',
+		})),
+	].sort((a, b) => a.start - b.start || a.end - b.end);
+
+	const lines = [];
+	let conflicts = 0;
+	let index = 0;
+	let next = 0;
+	while (next < edits.length) {
+		const region = [edits[next]];
+		const start = edits[next].start;
+		let end = edits[next].end;
+		next++;
+		while (next < edits.length && edits[next].start <= end) {
+			end = Math.max(end, edits[next].end);
+			region.push(edits[next]);
+			next++;
+		}
+
+		// One side's version of the base lines in [start, end).
+		const apply = (side) => {
+			const result = [];
+			let at = start;
+			region
+				.filter((edit) => edit.side === side)
+				.forEach((edit) => {
+					result.push(...baseLines.slice(at, edit.start), ...edit.lines);
+					at = edit.end;
+				});
+			return [...result, ...baseLines.slice(at, end)];
+		};
+		const sides = region
+			.map((edit) => edit.side)
+			.filter((side, i, all) => all.indexOf(side) === i);
+
+		lines.push(...baseLines.slice(index, start));
+		if (sides.length === 1) {
+			lines.push(...apply(sides[0]));
+		} else {
+			const oursLines = apply('ours');
+			const theirsLines = apply('theirs');
+			if (oursLines.join('') === theirsLines.join('')) {
+				lines.push(...oursLines);
+			} else {
+				// Lines both sides start or end with stay out of the conflict.
+				let head = 0;
+				while (
+					head < Math.min(oursLines.length, theirsLines.length) &&
+					oursLines[head] === theirsLines[head]
+				) {
+					head++;
+				}
+				let tail = 0;
+				while (
+					tail < Math.min(oursLines.length, theirsLines.length) - head &&
+					oursLines[oursLines.length - 1 - tail] ===
+						theirsLines[theirsLines.length - 1 - tail]
+				) {
+					tail++;
+				}
+				conflicts++;
+				lines.push(
+					...oursLines.slice(0, head),
+					`<<<<<<< ${labels.ours}\n`,
+					...withNewline(oursLines.slice(head, oursLines.length - tail)),
+					'=======\n',
+					...withNewline(theirsLines.slice(head, theirsLines.length - tail)),
+					`>>>>>>> ${labels.theirs}\n`,
+					...oursLines.slice(oursLines.length - tail)
+				);
+			}
+		}
+		index = end;
+	}
+	lines.push(...baseLines.slice(index));
+
+	return { text: lines.join(''), conflicts };
+};
+
+module.exports = {
+	mergeText,
+};
@@ -0,0 +1,163 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// What make-babel needs to know to drive each supported package manager.
+// `addExact` installs the initial dependencies, `add` and `remove` are used
+// for the template's own dependencies and to remove the template afterwards,
+// `addDev` for the development dependencies of features.
+const packageManagers = {
+	npm: {
+		displayName: 'npm',
+		command: 'npm',
+		addExact: ['install', '--no-audit', '--save-exact', '--loglevel', 'error'],
+		add: ['install', '--no-audit', '--save'],
+		addDev: ['install', '--no-audit', '--save-dev'],
+		remove: ['uninstall'],
+		verbose: ['--verbose'],
+		run: 'npm run ',
+		install: 'npm install',
+	},
+	yarn: {
+		displayName: 'Yarn',
+		command: 'yarnpkg',
+		addExact: ['add', '--exact'],
+		add: ['add'],
+		addDev: ['add', '--dev'],
+		remove: ['remove'],
+		verbose: ['--verbose'],
+		run: 'yarn ',
+		install: 'yarn',
+	},
+	// Yarn 2+. Never picked directly, it replaces `yarn` when `yarnpkg` turns
+	// out to be v2 or later. It has no --cwd, --offline or --verbose.
+	berry: {
+		displayName: 'Yarn',
+		command: 'yarnpkg',
+		addExact: ['add', '--exact'],
+		add: ['add'],
+		addDev: ['add', '--dev'],
+		remove: ['remove'],
+		verbose: [],
+		run: 'yarn ',
+		install: 'yarn',
+	},
+	pnpm: {
+		displayName: 'pnpm',
+		command: 'pnpm',
+		addExact: ['add', '--save-exact'],
+		add: ['add'],
+		addDev: ['add', '--save-dev'],
+		remove: ['remove'],
+		verbose: ['--loglevel', 'debug'],
+		run: 'pnpm ',
+		install: 'pnpm install',
+	},
+	bun: {
+		displayName: 'Bun',
+		command: 'bun',
+		addExact: ['add', '--exact'],
+		add: ['add'],
+		addDev: ['add', '--dev'],
+		remove: ['remove'],
+		verbose: ['--verbose'],
+		run: 'bun run ',
+		install: 'bun install',
+	},
+};
+
+// The package managers that can be asked for by name.
+const packageManagerNames = ['npm', 'yarn', 'pnpm', 'bun'];
+
+const isPackageManager = (name) => packageManagerNames.includes(name);
+
+const getPackageManager = (name) => packageManagers[name];
+
+// `npm_config_user_agent` is set by whichever package manager launched us, so
+// `pnpm dlx` or `bunx` can be told apart from `npx`, e.g.
+// "pnpm/7.0.0 npm/? node/v16.14.2 darwin x64".
+const getPackageManagerFromUserAgent = (
+	userAgent = process.env.npm_config_user_agent
+) => {
+	if (!userAgent) {
+		return;
+	}
+	const name = userAgent.split(' ')[0].split('/')[0];
+	return isPackageManager(name) ? name : undefined;
+};
+
+// Every lockfile a package manager may write, which an install changes.
+const lockfiles = [
+	'package-lock.json',
+	'yarn.lock',
+	'pnpm-lock.yaml',
+	'bun.lock',
+	'bun.lockb',
+];
+
+// The package manager an existing app uses, judging by its lockfile. Yarn 2+
+// is told apart by its .yarnrc.yml.
+const getPackageManagerFromLockfile = (appPath) => {
+	const has = (file) => fs.existsSync(path.join(appPath, file));
+	if (has('pnpm-lock.yaml')) {
+		return 'pnpm';
+	}
+	if (has('bun.lockb') || has('bun.lock')) {
+		return 'bun';
+	}
+	if (has('yarn.lock')) {
+		return has('.yarnrc.yml') ? 'berry' : 'yarn';
+	}
+	if (has('package-lock.json')) {
+		return 'npm';
+	}
+};
+
+// The package manager picked with a CLI flag, if any.
+const getPackageManagerFromOptions = (options) => {
+	if (options.useNpm) {
+		return 'npm';
+	}
+	if (options.yarn) {
+		return 'yarn';
+	}
+	if (options.usePnpm) {
+		return 'pnpm';
+	}
+	if (options.useBun) {
+		return 'bun';
+	}
+};
+
+// Rewrites the npm commands in scripts and READMEs for the package manager
+// that is actually used.
+const rewriteNpmCommands = (text, packageManager) => {
+	if (packageManager === 'npm') {
+		return text;
+	}
+	const { run, install } = packageManagers[packageManager];
+	return text.replace(
+		/\bnpm (run |start\b|test\b|install\b)/g,
+		(match, command) => {
+			if (command === 'run ') {
+				return run;
+			}
+			if (command === 'install') {
+				return install;
+			}
+			return `${run}${command}`;
+		}
+	);
+};
+
+module.exports = {
+	packageManagers,
+	packageManagerNames,
+	isPackageManager,
+	getPackageManager,
+	getPackageManagerFromUserAgent,
+	getPackageManagerFromLockfile,
+	getPackageManagerFromOptions,
+	rewriteNpmCommands,
+	lockfiles,
+};
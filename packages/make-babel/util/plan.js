@@ -0,0 +1,197 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { installDependencies, runPackageManager } = require('./index');
+const { getPackageManager, lockfiles } = require('./packageManager');
+const { findWorkspace } = require('./workspace');
+const { logger } = require('./logger');
+const {
+	startJournal,
+	recordWrite,
+	rollback,
+	clearJournal,
+} = require('./journal');
+
+// A plan describes the changes `make-babel add` or `make-babel upgrade` make
+// to an existing app, so they can be shown before anything is written: the
+// `changes` as `{ file, before, after }`, where a null `after` deletes the
+// file, and the `dependencies` and `devDependencies` to install with the
+// app's `packageManager`. With `install`, the packages in the new package.json
+// are installed as well.
+
+// Keeps the indentation the file already uses.
+const getIndent = (text) => (/^([ \t]+)\S/m.exec(text) || [])[1] || '  ';
+
+const toJson = (object, indent = '  ') =>
+	JSON.stringify(object, null, indent) + os.EOL;
+
+// `@eslint/js@9` is `@eslint/js`.
+const getPackageName = (spec) => spec.replace(/(.)@.*$/, '$1');
+
+const colorLine = (line) => {
+	if (line.startsWith('+++') || line.startsWith('---')) {
+		return chalk.bold(line);
+	}
+	if (line.startsWith('+')) {
+		return chalk.green(line);
+	}
+	if (line.startsWith('-')) {
+		return chalk.red(line);
+	}
+	if (line.startsWith('@@')) {
+		return chalk.cyan(line);
+	}
+	return line;
+};
+
+// Prints the changes as a diff, followed by the packages to install.
+const printPlan = (plan) => {
+	if (!plan.changes.length) {
+		logger.log('No files need to change.');
+		logger.log();
+	}
+	plan.changes.forEach(({ file, before, after }) => {
+		if (after === null) {
+			logger.log(chalk.red.bold(`Removes ${file}`));
+			logger.log();
+			return;
+		}
+		if (Buffer.isBuffer(before) || Buffer.isBuffer(after)) {
+			logger.log(chalk.bold(`Binary file ${file} changed`));
+			logger.log();
+			return;
+		}
+		const patch = createTwoFilesPatch(
+			before ? `a/${file}` : '/dev/null',
+			`b/${file}`,
+			before,
+			after,
+			undefined,
+			undefined,
+			{ context: 3 }
+		);
+		logger.log(
+			patch
+				.split('\n')
+				// The patch starts with a separator line.
+				.slice(1)
+				.map(colorLine)
+				.join('\n')
+		);
+	});
+
+	const { command, add, addDev, install } = getPackageManager(
+		plan.packageManager
+	);
+	if (plan.install || plan.dependencies.length || plan.devDependencies.length) {
+		logger.log('Then runs:');
+		if (plan.install) {
+			logger.log(`  ${chalk.cyan(install)}`);
+		}
+		if (plan.dependencies.length) {
+			logger.log(
+				`  ${chalk.cyan([command, ...add, ...plan.dependencies].join(' '))}`
+			);
+		}
+		if (plan.devDependencies.length) {
+			logger.log(
+				`  ${chalk.cyan(
+					[command, ...addDev, ...plan.devDependencies].join(' ')
+				)}`
+			);
+		}
+		logger.log();
+	}
+};
+
+// Installs everything in the app's package.json.
+const installPackages = async (packageManager, verbose, appPath) => {
+	const {
+		command,
+		install,
+		verbose: verboseArgs,
+	} = getPackageManager(packageManager);
+	const args = [
+		...install.split(' ').slice(1),
+		...(verbose ? verboseArgs : []),
+	];
+	logger.log();
+	logger.log(`Installing packages using ${command}...`);
+	logger.log();
+
+	await runPackageManager(packageManager, command, args, appPath, verbose);
+};
+
+const hasWork = (plan) =>
+	Boolean(
+		plan.changes.length ||
+			plan.install ||
+			plan.dependencies.length ||
+			plan.devDependencies.length
+	);
+
+// Writes the planned changes and installs the dependencies, then calls
+// `after`, if given. Everything is rolled back if any of that fails.
+const applyPlan = async (plan, verbose = false, after) => {
+	const { appPath, packageManager } = plan;
+	startJournal(appPath);
+	try {
+		// The installs update package.json and the lockfile, the workspace's in a
+		// workspace, which are restored together after a failure.
+		recordWrite(path.join(appPath, 'package.json'));
+		const workspace = findWorkspace(appPath);
+		[appPath, ...(workspace ? [workspace.root] : [])].forEach((dir) => {
+			lockfiles.forEach((lockfile) => {
+				recordWrite(path.join(dir, lockfile));
+			});
+		});
+		plan.changes.forEach(({ file, after: contents }) => {
+			recordWrite(path.join(appPath, file));
+			if (contents === null) {
+				fs.removeSync(path.join(appPath, file));
+			} else {
+				fs.outputFileSync(path.join(appPath, file), contents);
+			}
+		});
+		if (plan.install) {
+			await installPackages(packageManager, verbose, appPath);
+		}
+		await installDependencies(
+			packageManager,
+			verbose,
+			plan.dependencies,
+			false,
+			appPath
+		);
+		await installDependencies(
+			packageManager,
+			verbose,
+			plan.devDependencies,
+			true,
+			appPath
+		);
+		if (after) {
+			after();
+		}
+		clearJournal();
+	} catch (reason) {
+		logger.log();
+		logger.log(`Aborting. ${chalk.red(reason.message)}`);
+		logger.log();
+		rollback();
+		logger.log('Done.');
+		throw reason;
+	}
+};
+
+module.exports = {
+	getIndent,
+	toJson,
+	getPackageName,
+	printPlan,
+	hasWork,
+	applyPlan,
+};
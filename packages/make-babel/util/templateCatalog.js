@@ -0,0 +1,90 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const { TemplateError } = require('./errors');
+
+// An organization can register its private templates in a catalog, so that
+// `make-babel templates` lists them and `--template` takes their names:
+//
+//   {
+//     "templates": [
+//       {
+//         "name": "api",
+//         "template": "github:my-org/templates#main:api",
+//         "description": "Our API starter"
+//       }
+//     ]
+//   }
+//
+// `template` is anything `--template` takes. Relative paths are relative to
+// the catalog.
+const getCatalogPath = () =>
+	process.env.MAKE_BABEL_TEMPLATE_CATALOG ||
+	path.join(os.homedir(), '.make-babel-templates.json');
+
+const fail = (message) => {
+	logger.error(chalk.red(message));
+	throw new TemplateError(message);
+};
+
+// Resolves a relative path to a template from the directory of the file
+// that names it, rather than the working directory.
+const resolveTemplateFrom = (template, dir) => {
+	if (template.startsWith('.')) {
+		return path.resolve(dir, template);
+	}
+	const fileMatch = template.match(/^file:(.*)$/);
+	return fileMatch ? `file:${path.resolve(dir, fileMatch[1])}` : template;
+};
+
+// The catalog's templates as `{ name, template, description }`, or an empty
+// list if there is no catalog.
+const readCatalog = (catalogPath = getCatalogPath()) => {
+	if (!fs.existsSync(catalogPath)) {
+		return [];
+	}
+	let catalog;
+	try {
+		catalog = fs.readJsonSync(catalogPath);
+	} catch (err) {
+		fail(`Could not read the template catalog ${catalogPath}: ${err.message}`);
+	}
+	if (!catalog || !Array.isArray(catalog.templates)) {
+		fail(`The template catalog ${catalogPath} must have a "templates" list.`);
+	}
+	return catalog.templates.map((entry, index) => {
+		if (
+			!entry ||
+			typeof entry.name !== 'string' ||
+			typeof entry.template !== 'string'
+		) {
+			fail(
+				`Template ${
+					index + 1
+				} in the catalog ${catalogPath} needs a "name" and a "template".`
+			);
+		}
+		return {
+			name: entry.name,
+			template: resolveTemplateFrom(
+				entry.template,
+				path.dirname(path.resolve(catalogPath))
+			),
+			description: entry.description || null,
+		};
+	});
+};
+
+// The template registered under the name in the catalog, if any.
+const findCatalogTemplate = (name) =>
+	readCatalog().find((entry) => entry.name === name) || null;
+
+module.exports = {
+	getCatalogPath,
+	resolveTemplateFrom,
+	readCatalog,
+	findCatalogTemplate,
+};
@@ -0,0 +1,359 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const tar = require('tar');
+const { sync } = require('cross-spawn');
+const { logger } = require('./logger');
+const {
+	TemplateError,
+	CommandError,
+	CommandTimeoutError,
+} = require('./errors');
+const { recordWrite } = require('./journal');
+const { getCommandSettings, getCommandEnv } = require('./command');
+const { rewriteNpmCommands } = require('./packageManager');
+
+const placeholderPattern = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// npm strips these files when publishing, so templates ship them without the
+// leading dot.
+const renamedFiles = {
+	gitignore: '.gitignore',
+	npmignore: '.npmignore',
+};
+
+const getGitAuthor = () => {
+	try {
+		const proc = sync('git', ['config', '--get', 'user.name']);
+		return proc.status === 0 ? proc.stdout.toString().trim() : '';
+	} catch (e) {
+		return '';
+	}
+};
+
+// Values available to every template, whether or not template.json declares
+// them.
+const getBuiltinVariables = (appName) => ({
+	appName,
+	author: getGitAuthor(),
+	year: String(new Date().getFullYear()),
+});
+
+// Resolves the variables declared in template.json's `variables`, e.g.
+// `{ "port": { "description": "...", "default": "8080" } }`. Values passed on
+// the command line win over the declared defaults.
+const resolveTemplateVariables = (templateJson, appName, variables = {}) => {
+	const builtins = getBuiltinVariables(appName);
+	const declared = templateJson.variables || {};
+	const resolved = { ...builtins };
+
+	Object.keys(declared).forEach((name) => {
+		const declaration = declared[name] || {};
+		if (typeof variables[name] !== 'undefined') {
+			resolved[name] = variables[name];
+		} else if (typeof declaration.default !== 'undefined') {
+			resolved[name] = String(declaration.default);
+		} else {
+			throw new TemplateError(
+				`The template requires a value for "${name}"${
+					declaration.description ? ` (${declaration.description})` : ''
+				}. Pass it with --var ${name}=<value>`
+			);
+		}
+	});
+
+	Object.keys(variables).forEach((name) => {
+		if (typeof declared[name] === 'undefined') {
+			if (typeof builtins[name] === 'undefined') {
+				logger.warn(
+					chalk.yellow(
+						`The template does not declare a variable named ${chalk.cyan(
+							name
+						)}.`
+					)
+				);
+			}
+			resolved[name] = variables[name];
+		}
+	});
+
+	return resolved;
+};
+
+const render = (text, variables) =>
+	text.replace(placeholderPattern, (placeholder, name) =>
+		Object.prototype.hasOwnProperty.call(variables, name)
+			? variables[name]
+			: placeholder
+	);
+
+// Maps a path inside the template's `template/` dir to its path in the app.
+const renderTemplatePath = (relativePath, variables) =>
+	relativePath
+		.split(path.sep)
+		.map((segment) => renamedFiles[segment] || render(segment, variables))
+		.join(path.sep);
+
+const isBinary = (buffer) => buffer.includes(0);
+
+const listTemplateFiles = (templateDir, prefix = '') =>
+	fs
+		.readdirSync(path.join(templateDir, prefix))
+		.sort()
+		.reduce((files, file) => {
+			const relativePath = path.join(prefix, file);
+			if (fs.lstatSync(path.join(templateDir, relativePath)).isDirectory()) {
+				return files.concat(listTemplateFiles(templateDir, relativePath));
+			}
+			return files.concat(relativePath);
+		}, []);
+
+// Fills in the placeholders in both the file's name and its contents, unless
+// it is binary, in which case the contents are returned as a Buffer.
+const renderTemplateFile = (templateDir, relativePath, variables) => {
+	const source = fs.readFileSync(path.join(templateDir, relativePath));
+	return {
+		targetPath: renderTemplatePath(relativePath, variables),
+		contents: isBinary(source)
+			? source
+			: render(source.toString('utf8'), variables),
+	};
+};
+
+// Returns the contents of every file the template creates, by their path in
+// the app.
+const renderTemplateFiles = (templateDir, variables) =>
+	listTemplateFiles(templateDir).reduce((files, relativePath) => {
+		const { targetPath, contents } = renderTemplateFile(
+			templateDir,
+			relativePath,
+			variables
+		);
+		return { ...files, [targetPath]: contents };
+	}, {});
+
+// Copies the template's files into appPath, filling in the placeholders in
+// both the file names and the (non-binary) file contents. Returns the paths
+// of the copied files, relative to appPath.
+const copyTemplateFiles = (templateDir, appPath, variables) => {
+	return listTemplateFiles(templateDir).map((relativePath) => {
+		const { targetPath, contents } = renderTemplateFile(
+			templateDir,
+			relativePath,
+			variables
+		);
+
+		recordWrite(path.join(appPath, targetPath));
+		fs.outputFileSync(path.join(appPath, targetPath), contents);
+		fs.chmodSync(
+			path.join(appPath, targetPath),
+			fs.statSync(path.join(templateDir, relativePath)).mode
+		);
+		return targetPath;
+	});
+};
+
+// Templates in git repositories: `github:org/repo`, `gitlab:` and
+// `bitbucket:` shorthands, and `git+ssh://`, `git+https://`, `git+file://` and
+// `git://` URLs. `#ref:subdir` picks a branch, tag or commit, and the
+// directory of the repository the template is in. Both are optional, e.g.
+// `github:org/templates#:api` for the api directory on the default branch.
+const gitHosts = {
+	github: 'https://github.com/',
+	gitlab: 'https://gitlab.com/',
+	bitbucket: 'https://bitbucket.org/',
+};
+
+const parseGitTemplate = (template) => {
+	const match = /^(github|gitlab|bitbucket):([^#]+)(?:#(.*))?$/.exec(template);
+	const urlMatch =
+		/^(git\+(?:ssh|https?|file):\/\/|git:\/\/)([^#]+)(?:#(.*))?$/.exec(
+			template
+		);
+	if (!match && !urlMatch) {
+		return null;
+	}
+	let url;
+	if (match) {
+		url = `${gitHosts[match[1]]}${match[2].replace(/\.git$/, '')}.git`;
+	} else if (/^git\+ssh:\/\/[^/]*:(?!\d)/.test(template)) {
+		// npm's git+ssh://git@host:org/repo is git's scp-like git@host:org/repo.
+		url = urlMatch[2];
+	} else {
+		url = `${urlMatch[1].replace(/^git\+/, '')}${urlMatch[2]}`;
+	}
+	const [ref = '', subdir = ''] = ((match || urlMatch)[3] || '').split(':');
+	return {
+		base: template.replace(/#.*$/, ''),
+		url,
+		ref,
+		subdir,
+	};
+};
+
+// The same template at a commit, so that it can be fetched again exactly.
+const pinGitTemplate = (template, commit) => {
+	const { base, subdir } = parseGitTemplate(template);
+	return `${base}#${commit}${subdir ? `:${subdir}` : ''}`;
+};
+
+// Templates in git repositories and local directories are copied from where
+// they are, instead of being installed into the app like npm packages.
+const isDirectTemplate = (templateToInstall) => {
+	const fileMatch = templateToInstall.match(/^file:(.*)$/);
+	return Boolean(
+		parseGitTemplate(templateToInstall) ||
+			(fileMatch &&
+				fs.existsSync(fileMatch[1]) &&
+				fs.statSync(fileMatch[1]).isDirectory())
+	);
+};
+
+// Clones show no progress, so they give up after `installTimeout` seconds or,
+// without one, five minutes, e.g. when the host stops answering. Git doesn't
+// ask for credentials, which nobody may be there to type.
+const defaultGitTimeout = 300;
+
+const runGit = (args, cwd) => {
+	const command = ['git', ...args].join(' ');
+	const timeout = getCommandSettings().installTimeout || defaultGitTimeout;
+	const proc = sync('git', args, {
+		cwd,
+		env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+		timeout: timeout * 1000,
+	});
+	if (proc.error && proc.error.code === 'ETIMEDOUT') {
+		const error = new CommandTimeoutError(command, timeout);
+		logger.error(chalk.red(error.message));
+		throw error;
+	}
+	if (proc.status !== 0) {
+		logger.error(
+			chalk.red(
+				`\`${command}\` failed${
+					proc.stderr ? `:\n${proc.stderr.toString().trim()}` : ''
+				}`
+			)
+		);
+		throw new CommandError(command);
+	}
+	return proc.stdout.toString().trim();
+};
+
+// Clones the repository into tmpDir. Branches and tags are cloned shallowly,
+// commits need the history.
+const cloneTemplate = (template, tmpDir) => {
+	const { url, ref, subdir } = parseGitTemplate(template);
+	const repoPath = path.join(tmpDir, 'repo');
+	if (/^[0-9a-f]{7,40}$/i.test(ref)) {
+		runGit(['clone', '--quiet', url, repoPath], tmpDir);
+		runGit(['checkout', '--quiet', ref], repoPath);
+	} else {
+		runGit(
+			[
+				'clone',
+				'--quiet',
+				'--depth',
+				'1',
+				...(ref ? ['--branch', ref] : []),
+				url,
+				repoPath,
+			],
+			tmpDir
+		);
+	}
+	const templatePath = path.join(repoPath, subdir);
+	if (!fs.existsSync(path.join(templatePath, 'package.json'))) {
+		const message = `Could not find a template in ${
+			subdir || 'the root'
+		} of ${url}`;
+		logger.error(chalk.red(message));
+		throw new TemplateError(message);
+	}
+	return templatePath;
+};
+
+// The commit a template cloned by `fetchTemplate` is at.
+const getTemplateCommit = (templatePath) =>
+	runGit(['rev-parse', 'HEAD'], templatePath);
+
+// Downloads the template into tmpDir, so its template.json and files can be
+// read without installing it into an app. Local directories are read where
+// they are.
+const fetchTemplate = (templateToInstall, tmpDir) => {
+	const fileMatch = templateToInstall.match(/^file:(.*)$/);
+	if (fileMatch) {
+		return fileMatch[1];
+	}
+	if (parseGitTemplate(templateToInstall)) {
+		return cloneTemplate(templateToInstall, tmpDir);
+	}
+
+	const args = ['pack', templateToInstall, '--json', '--loglevel', 'error'];
+	const proc = sync('npm', args, { cwd: tmpDir, env: getCommandEnv() });
+	if (proc.status !== 0) {
+		throw new CommandError(['npm', ...args].join(' '));
+	}
+	const [{ filename }] = JSON.parse(proc.stdout.toString());
+	tar.x({ file: path.join(tmpDir, filename), cwd: tmpDir, sync: true });
+	return path.join(tmpDir, 'package');
+};
+
+// Downloads the template into its own directory under tmpDir, and reads its
+// template.json, name and version, and the commit of a git template.
+const readTemplate = (templateToInstall, tmpDir) => {
+	const dir = fs.mkdtempSync(path.join(tmpDir, 'template-'));
+	const templatePath = fetchTemplate(templateToInstall, dir);
+	const templateJsonPath = path.join(templatePath, 'template.json');
+	const { name, version } = fs.readJsonSync(
+		path.join(templatePath, 'package.json')
+	);
+	return {
+		templatePath,
+		templateJson: fs.existsSync(templateJsonPath)
+			? fs.readJsonSync(templateJsonPath)
+			: {},
+		name,
+		version,
+		commit: parseGitTemplate(templateToInstall)
+			? getTemplateCommit(templatePath)
+			: undefined,
+	};
+};
+
+// The files a template read with `readTemplate` creates, as
+// `initializeTemplate` writes them.
+const renderTemplate = (template, variables, packageManager) => {
+	const templateDir = path.join(template.templatePath, 'template');
+	if (!fs.existsSync(templateDir)) {
+		const message = `Could not locate the files of ${template.name}@${template.version}`;
+		logger.error(chalk.red(message));
+		throw new TemplateError(message);
+	}
+	const files = renderTemplateFiles(templateDir, variables);
+	if (typeof files['README.md'] === 'string') {
+		files['README.md'] = rewriteNpmCommands(files['README.md'], packageManager);
+	}
+	return files;
+};
+
+// The template's sample code, which apps adopted with `make-babel init
+// --adopt` replace with their own.
+const isSampleCode = (file) => file.split(path.sep)[0] === 'src';
+
+module.exports = {
+	resolveTemplateVariables,
+	renderTemplatePath,
+	listTemplateFiles,
+	renderTemplateFiles,
+	copyTemplateFiles,
+	parseGitTemplate,
+	pinGitTemplate,
+	isDirectTemplate,
+	fetchTemplate,
+	getTemplateCommit,
+	readTemplate,
+	renderTemplate,
+	isSampleCode,
+};
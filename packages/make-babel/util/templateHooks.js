@@ -0,0 +1,147 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { sync } = require('cross-spawn');
+const { logger, getOutputStream } = require('./logger');
+const { TemplateHookError } = require('./errors');
+
+// The hooks a template can declare in template.json, in the order they run:
+// before its files are copied, after they are copied, and once its
+// dependencies are installed (while the template is still installed).
+const hookNames = ['preCopy', 'postCopy', 'postInstall'];
+const defaultHookTimeout = 60 * 1000;
+
+// Hooks only get the environment they need, so that tokens and other secrets
+// of the user don't leak into templates.
+const hookEnvKeys = [
+	'PATH',
+	'HOME',
+	'USERPROFILE',
+	'APPDATA',
+	'SYSTEMROOT',
+	'TMPDIR',
+	'TEMP',
+	'TMP',
+	'LANG',
+];
+
+const getHookEnv = () =>
+	Object.keys(process.env)
+		.filter((key) => hookEnvKeys.includes(key.toUpperCase()))
+		.reduce((env, key) => ({ ...env, [key]: process.env[key] }), {});
+
+// Node's permission model, where available, keeps hooks from writing outside
+// the app and from starting other processes.
+const getSandboxFlags = (appPath) => {
+	const flags = process.allowedNodeEnvironmentFlags;
+	const permissionFlag = ['--permission', '--experimental-permission'].find(
+		(flag) => flags.has(flag)
+	);
+	if (!permissionFlag) {
+		return [];
+	}
+	return [
+		permissionFlag,
+		'--allow-fs-read=*',
+		`--allow-fs-write=${appPath}`,
+		'--no-warnings',
+	];
+};
+
+// Returns the declared hooks, e.g. `{ "postCopy": "hooks/postCopy.js" }`,
+// with their paths resolved against templatePath.
+const getTemplateHooks = (templateJson, templatePath) => {
+	const hooks = templateJson.hooks || {};
+	return Object.keys(hooks).reduce((resolved, hook) => {
+		if (!hookNames.includes(hook)) {
+			logger.warn(
+				chalk.yellow(
+					`Ignoring unknown template hook ${chalk.cyan(
+						hook
+					)}. Supported hooks are ${hookNames.join(', ')}.`
+				)
+			);
+			return resolved;
+		}
+		const hookPath = path.resolve(templatePath, hooks[hook]);
+		if (
+			!hookPath.startsWith(templatePath + path.sep) ||
+			!fs.existsSync(hookPath)
+		) {
+			logger.error(
+				chalk.red(
+					`Could not locate the template's ${hook} hook: ${chalk.green(
+						hooks[hook]
+					)}`
+				)
+			);
+			throw new TemplateHookError(hook, `could not be found: ${hooks[hook]}`);
+		}
+		return { ...resolved, [hook]: hookPath };
+	}, {});
+};
+
+// Runs the hook, if the template declared one, in a separate Node process with
+// the app as working directory. The hook module exports a function, which is
+// called (and awaited) with the context.
+const runTemplateHook = (
+	hook,
+	hooks,
+	context,
+	timeout = defaultHookTimeout
+) => {
+	if (!hooks[hook]) {
+		return;
+	}
+	logger.log();
+	logger.log(`Running the template's ${chalk.cyan(hook)} hook...`);
+	logger.log();
+
+	const sandboxFlags = getSandboxFlags(context.appPath);
+	if (!sandboxFlags.length) {
+		logger.warn(
+			chalk.yellow(
+				`Node ${process.versions.node} has no permission model, so the hook can write anywhere and start other processes. Use Node 20 or later to sandbox it.`
+			)
+		);
+		logger.warn();
+	}
+	// The output is piped, since the logger's stream may not be backed by a
+	// file descriptor.
+	const proc = sync(
+		process.execPath,
+		[...sandboxFlags, path.join(__dirname, 'hookRunner.js'), hooks[hook]],
+		{
+			cwd: context.appPath,
+			env: getHookEnv(),
+			input: JSON.stringify({ ...context, hook }),
+			stdio: ['pipe', 'pipe', 'inherit'],
+			timeout,
+		}
+	);
+	if (proc.stdout && proc.stdout.length) {
+		getOutputStream().write(proc.stdout);
+	}
+	let failure = null;
+	if (proc.error && proc.error.code === 'ETIMEDOUT') {
+		failure = `timed out after ${timeout}ms`;
+	} else if (proc.error) {
+		failure = `could not be started: ${proc.error.message}`;
+	} else if (proc.status !== 0) {
+		failure =
+			proc.status === null
+				? `was killed with ${proc.signal}`
+				: `failed with exit code ${proc.status}`;
+	}
+	if (failure) {
+		logger.error(chalk.red(`The template's ${hook} hook ${failure}.`));
+		throw new TemplateHookError(hook, failure);
+	}
+};
+
+module.exports = {
+	hookNames,
+	getTemplateHooks,
+	runTemplateHook,
+};
@@ -0,0 +1,212 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { sync } = require('cross-spawn');
+const { getTemplateInstallPackage } = require('./index');
+const { parseGitTemplate } = require('./templateFiles');
+const { getCatalogPath, readCatalog } = require('./templateCatalog');
+const { logger } = require('./logger');
+
+// The short names `--template` takes for the templates make-babel ships.
+const builtInTemplates = [
+	{ name: 'js', description: 'JavaScript, the default' },
+	{ name: 'ts', description: 'TypeScript, compiled by Babel' },
+];
+
+// Published templates are named like `getTemplateInstallPackage` expects, or
+// carry the keyword.
+const templateKeyword = 'make-babel-template';
+const templatePackagePattern = /^(@[^/]+\/)?cba-template(-|$)/;
+
+// The registry is asked through npm, so that a private registry and its
+// credentials from .npmrc are used.
+const registryTimeout = 15000;
+
+// What `--template` takes for a published template: the part after the
+// prefix for make-babel's own scope, `npm:` for names without the prefix.
+const getTemplateName = (packageName) => {
+	const match = packageName.match(/^(@[^/]+\/)?cba-template(-.+)?$/);
+	if (!match || !match[1]) {
+		return `npm:${packageName}`;
+	}
+	return match[1] === '@hackermans/' && match[2]
+		? match[2].slice(1)
+		: packageName;
+};
+
+const runNpm = (args, registry) => {
+	const proc = sync(
+		'npm',
+		[...args, '--json', ...(registry ? ['--registry', registry] : [])],
+		{ stdio: 'pipe', timeout: registryTimeout }
+	);
+	if (proc.status !== 0) {
+		return null;
+	}
+	try {
+		return JSON.parse(proc.stdout.toString());
+	} catch (err) {
+		return null;
+	}
+};
+
+// The version and description of a template, from its package.json for a
+// local directory and from the registry for a package. Git repositories
+// aren't cloned just to list them.
+const readTemplateInfo = (templateToInstall, registry) => {
+	if (parseGitTemplate(templateToInstall)) {
+		return {};
+	}
+	const fileMatch = templateToInstall.match(/^file:(.*)$/);
+	if (fileMatch) {
+		const packageJsonPath = path.join(fileMatch[1], 'package.json');
+		return fs.existsSync(packageJsonPath)
+			? fs.readJsonSync(packageJsonPath)
+			: {};
+	}
+	const info = runNpm(
+		['view', templateToInstall, 'version', 'description'],
+		registry
+	);
+	// A range that matches several versions lists all of them.
+	return (Array.isArray(info) ? info[info.length - 1] : info) || {};
+};
+
+const describeTemplate = async (entry, source, registry) => {
+	const templateToInstall = await getTemplateInstallPackage(
+		entry.template,
+		process.cwd()
+	);
+	const info = readTemplateInfo(templateToInstall, registry);
+	return {
+		name: entry.name,
+		source,
+		template: templateToInstall,
+		version: info.version || null,
+		description: entry.description || info.description || null,
+	};
+};
+
+// The built-in templates and those in the template catalog, as
+// `{ name, source, template, version, description }`. `name` is what to pass
+// to `--template`, and `template` what it resolves to.
+const listTemplates = async ({ registry } = {}) => {
+	const entries = [
+		...builtInTemplates.map((entry) => [
+			{ ...entry, template: entry.name },
+			'built-in',
+		]),
+		...readCatalog().map((entry) => [entry, 'catalog']),
+	];
+	const templates = [];
+	for (const [entry, source] of entries) {
+		templates.push(await describeTemplate(entry, source, registry));
+	}
+	return templates;
+};
+
+const matchesQuery = (template, query) =>
+	!query ||
+	[template.name, template.description, template.template].some(
+		(value) => value && value.toLowerCase().includes(query.toLowerCase())
+	);
+
+// The templates published on the registry, along with the built-in and
+// catalog templates, that match the query, or all of them without one.
+const searchTemplates = async (query = '', { registry } = {}) => {
+	const results = [
+		`cba-template ${query}`,
+		`keywords:${templateKeyword} ${query}`,
+	]
+		.map((text) =>
+			runNpm(['search', text.trim(), '--searchlimit', '100'], registry)
+		)
+		.filter(Boolean);
+	if (!results.length) {
+		logger.warn(
+			chalk.yellow(
+				'Could not search the registry. Only the built-in and catalog templates are listed.'
+			)
+		);
+	}
+
+	const published = new Map();
+	[].concat(...results).forEach((pkg) => {
+		if (
+			templatePackagePattern.test(pkg.name) ||
+			(pkg.keywords || []).includes(templateKeyword)
+		) {
+			published.set(pkg.name, {
+				name: getTemplateName(pkg.name),
+				source: 'registry',
+				template: pkg.name,
+				version: pkg.version || null,
+				description: pkg.description || null,
+			});
+		}
+	});
+	const known = await listTemplates({ registry });
+	return [
+		...known.filter((template) => matchesQuery(template, query)),
+		// Built-in and catalog templates are published too, maybe pinned to a
+		// version, e.g. `@hackermans/cba-template@1.1.0`.
+		...[...published.values()].filter(
+			(template) =>
+				!known.some(
+					(knownTemplate) =>
+						knownTemplate.template === template.template ||
+						knownTemplate.template.startsWith(`${template.template}@`)
+				)
+		),
+	];
+};
+
+const sourceTitles = {
+	'built-in': 'Built-in templates',
+	catalog: 'Template catalog',
+	registry: 'Published templates',
+};
+
+const printTemplates = (templates) => {
+	if (!templates.length) {
+		logger.log('No templates found.');
+		return;
+	}
+	Object.keys(sourceTitles).forEach((source) => {
+		const group = templates.filter((template) => template.source === source);
+		if (!group.length) {
+			return;
+		}
+		logger.log();
+		logger.log(
+			chalk.bold(
+				source === 'catalog'
+					? `${sourceTitles[source]} (${getCatalogPath()})`
+					: sourceTitles[source]
+			)
+		);
+		group.forEach(({ name, template, version, description }) => {
+			logger.log(
+				`  ${chalk.green(name)}${version ? chalk.gray(`@${version}`) : ''}${
+					description ? ` - ${description}` : ''
+				}`
+			);
+			if (template !== name) {
+				logger.log(`    ${chalk.cyan(template)}`);
+			}
+		});
+	});
+	logger.log();
+	logger.log(
+		`Pass a template's name to ${chalk.cyan('--template')}, e.g. ${chalk.cyan(
+			`make-babel my-app --template ${templates[0].name}`
+		)}`
+	);
+};
+
+module.exports = {
+	listTemplates,
+	searchTemplates,
+	printTemplates,
+};
@@ -0,0 +1,132 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const { execSync } = require('child_process');
+const { defaultRegistry, checkForLatestVersion } = require('./index');
+const { logger } = require('./logger');
+const packageJson = require('../package.json');
+
+// The registry is asked at most once a day, and never waits long, so that a
+// slow or offline registry doesn't hold up creating an app.
+const cacheMaxAge = 24 * 60 * 60 * 1000;
+const checkTimeout = 1500;
+
+const getCacheFile = () => {
+	const cacheDir =
+		process.env.MAKE_BABEL_CACHE_DIR ||
+		path.join(
+			process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'),
+			'make-babel'
+		);
+	return path.join(cacheDir, 'update-check.json');
+};
+
+// `--registry`, then npm's configuration, which includes
+// `npm_config_registry` from the environment.
+const getRegistry = (registry) => {
+	if (registry) {
+		return registry;
+	}
+	try {
+		const configured = execSync('npm config get registry', {
+			stdio: 'pipe',
+			timeout: checkTimeout,
+		})
+			.toString()
+			.trim();
+		if (/^https?:\/\//.test(configured)) {
+			return configured;
+		}
+	} catch (e) {
+		// ignore
+	}
+	return defaultRegistry;
+};
+
+const readCache = (cacheFile, registry) => {
+	try {
+		const cache = fs.readJsonSync(cacheFile);
+		if (
+			cache.registry === registry &&
+			Date.now() - cache.checkedAt < cacheMaxAge
+		) {
+			return cache.latest;
+		}
+	} catch (e) {
+		// No cache yet, or an unreadable one.
+	}
+	return null;
+};
+
+const writeCache = (cacheFile, registry, latest) => {
+	try {
+		fs.outputJsonSync(cacheFile, { registry, latest, checkedAt: Date.now() });
+	} catch (e) {
+		// The check simply runs again next time.
+	}
+};
+
+// Resolves with the latest published version, or null if the registry can't
+// be reached. Failed checks aren't cached.
+const getLatestVersion = async (registry) => {
+	registry = getRegistry(registry);
+	const cacheFile = getCacheFile();
+	const cached = readCache(cacheFile, registry);
+	if (cached) {
+		return cached;
+	}
+	try {
+		const latest = await checkForLatestVersion(registry, checkTimeout);
+		writeCache(cacheFile, registry, latest);
+		return latest;
+	} catch (e) {
+		return null;
+	}
+};
+
+// Resolves with false, after explaining how to update, when a newer
+// make-babel has been published.
+const checkForUpdate = async (registry) => {
+	if (process.env.MAKE_BABEL_SKIP_UPDATE_CHECK) {
+		return true;
+	}
+	const latest = await getLatestVersion(registry);
+	if (
+		!latest ||
+		!semver.valid(latest) ||
+		!semver.lt(packageJson.version, latest)
+	) {
+		return true;
+	}
+
+	logger.log();
+	logger.error(
+		chalk.yellow(
+			`You are running \`make-babel\` ${packageJson.version}, which is behind the latest release (${latest}).\n\n` +
+				'We recommend always using the latest version of make-babel if possible.'
+		)
+	);
+	logger.log();
+	logger.log(
+		'If you installed it globally, please remove it with one of the following commands:\n' +
+			`  - npm uninstall -g ${packageJson.name}\n` +
+			`  - yarn global remove ${packageJson.name}`
+	);
+	logger.log();
+	logger.log(
+		`Then run ${chalk.cyan(
+			`npx ${packageJson.name}@latest`
+		)} instead, which also skips the copy npx may have cached.`
+	);
+	logger.log();
+	return false;
+};
+
+module.exports = {
+	getRegistry,
+	getLatestVersion,
+	checkForUpdate,
+};
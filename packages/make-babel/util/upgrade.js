@@ -0,0 +1,486 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const semver = require('semver');
+const { sync } = require('cross-spawn');
+const {
+	getTemplateInstallPackage,
+	getTemplatePackageToReplace,
+	isBabelInstalled,
+} = require('./index');
+const {
+	resolveTemplateVariables,
+	readTemplate,
+	renderTemplate,
+	isSampleCode,
+	isDirectTemplate,
+	pinGitTemplate,
+} = require('./templateFiles');
+const {
+	getPackageManagerFromLockfile,
+	getPackageManagerFromUserAgent,
+	rewriteNpmCommands,
+} = require('./packageManager');
+const { getPackageManagerFromWorkspace } = require('./workspace');
+const { getIndent, toJson, printPlan, applyPlan } = require('./plan');
+const { mergeText } = require('./merge');
+const { logger, setLogger } = require('./logger');
+const { setCommandSettings, getCommandEnv } = require('./command');
+const { TemplateError, CommandError } = require('./errors');
+
+const fail = (message) => {
+	logger.error(chalk.red(message));
+	throw new TemplateError(message);
+};
+
+// `spec` is how a template from git or a local directory is recorded, since
+// it has no version to install it by.
+const downloadTemplate = async (template, tmpDir) => {
+	const templateToInstall = await getTemplateInstallPackage(
+		template,
+		process.cwd()
+	);
+	return {
+		...readTemplate(templateToInstall, tmpDir),
+		spec: isDirectTemplate(templateToInstall) ? templateToInstall : null,
+	};
+};
+
+// The template the app was created from, at the version or commit it was
+// created from. A local directory doesn't keep its earlier versions.
+const getRecordedTemplate = (record) => {
+	if (!record.template || record.template.startsWith('file:')) {
+		return null;
+	}
+	if (record.templateCommit) {
+		return pinGitTemplate(record.template, record.templateCommit);
+	}
+	return `${record.template}@${record.templateVersion}`;
+};
+
+// The latest version of the same template, or for git the latest commit of
+// the recorded branch, and the recorded directory as it is now.
+const getLatestTemplate = (record, base) => {
+	if (record.templateCommit || (record.template || '').startsWith('file:')) {
+		return record.template;
+	}
+	return `${record.template || base.name}@latest`;
+};
+
+const isSame = (a, b) =>
+	Buffer.isBuffer(a) || Buffer.isBuffer(b)
+		? Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0
+		: a === b;
+
+// Three-way merges the template's files into the app. The old version of the
+// template is the common ancestor of the app's files and the new version.
+const mergeTemplateFiles = (appPath, baseFiles, nextFiles, labels) => {
+	const changes = [];
+	const conflicts = [];
+	const skipped = [];
+	Object.keys({ ...baseFiles, ...nextFiles })
+		.sort()
+		.forEach((file) => {
+			const base = baseFiles[file];
+			const next = nextFiles[file];
+			if (base !== undefined && next !== undefined && isSame(base, next)) {
+				return;
+			}
+			const filePath = path.join(appPath, file);
+			let current;
+			if (fs.existsSync(filePath)) {
+				current = fs.readFileSync(filePath);
+				if (!Buffer.isBuffer(base) && !Buffer.isBuffer(next)) {
+					current = current.toString('utf8');
+				}
+			}
+
+			if (next === undefined) {
+				if (current === undefined) {
+					return;
+				}
+				if (isSame(current, base)) {
+					changes.push({ file, before: current, after: null });
+				} else {
+					skipped.push(
+						`${file} was removed from the template, but you changed it`
+					);
+				}
+			} else if (current === undefined) {
+				if (base === undefined) {
+					changes.push({ file, before: '', after: next });
+				} else {
+					skipped.push(
+						`${file} was changed in the template, but you deleted it`
+					);
+				}
+			} else if (isSame(current, next)) {
+				return;
+			} else if (base !== undefined && isSame(current, base)) {
+				changes.push({ file, before: current, after: next });
+			} else if (Buffer.isBuffer(current)) {
+				conflicts.push(`${file} (binary, your version was kept)`);
+			} else {
+				const merged = mergeText(base || '', current, next, labels);
+				changes.push({ file, before: current, after: merged.text });
+				if (merged.conflicts) {
+					conflicts.push(file);
+				}
+			}
+		});
+	return { changes, conflicts, skipped };
+};
+
+// Three-way merges the values in base and next into current, by key. Returns
+// the keys changed on both sides, whose current values are kept.
+const mergeValues = (base = {}, next = {}, current) => {
+	const conflicts = [];
+	const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+	Object.keys({ ...base, ...next }).forEach((key) => {
+		if (same(base[key], next[key]) || same(current[key], next[key])) {
+			return;
+		}
+		if (!same(current[key], base[key])) {
+			conflicts.push(key);
+		} else if (next[key] === undefined) {
+			delete current[key];
+		} else {
+			current[key] = next[key];
+		}
+	});
+	return conflicts;
+};
+
+const getTemplateScripts = (templatePackage, packageManager) => {
+	const scripts = { ...templatePackage.scripts };
+	if (packageManager !== 'npm') {
+		Object.keys(scripts).forEach((name) => {
+			scripts[name] = rewriteNpmCommands(scripts[name], packageManager);
+		});
+	}
+	return scripts;
+};
+
+const pick = (object, keys) =>
+	keys.reduce(
+		(picked, key) =>
+			object[key] === undefined ? picked : { ...picked, [key]: object[key] },
+		{}
+	);
+
+// The template's scripts and other package.json fields are merged like its
+// files. Its dependencies are set to the new template's versions, unless the
+// app removed them.
+const mergeTemplatePackages = (
+	appPackage,
+	basePackage,
+	nextPackage,
+	packageManager
+) => {
+	const conflicts = [];
+	appPackage.scripts = appPackage.scripts || {};
+	mergeValues(
+		getTemplateScripts(basePackage, packageManager),
+		getTemplateScripts(nextPackage, packageManager),
+		appPackage.scripts
+	).forEach((script) => {
+		conflicts.push(`package.json: the "${script}" script`);
+	});
+
+	const replacedKeys = [
+		...getTemplatePackageToReplace(basePackage),
+		...getTemplatePackageToReplace(nextPackage),
+	];
+	mergeValues(
+		pick(basePackage, replacedKeys),
+		pick(nextPackage, replacedKeys),
+		appPackage
+	).forEach((key) => {
+		conflicts.push(`package.json: "${key}"`);
+	});
+
+	const baseDependencies = {
+		...basePackage.dependencies,
+		...basePackage.devDependencies,
+	};
+	const nextDependencies = {
+		...nextPackage.dependencies,
+		...nextPackage.devDependencies,
+	};
+	const updated = [];
+	Object.keys(nextDependencies).forEach((name) => {
+		const version = nextDependencies[name];
+		const field = ['dependencies', 'devDependencies'].find(
+			(key) => appPackage[key] && appPackage[key][name] !== undefined
+		);
+		if (baseDependencies[name] === version) {
+			return;
+		}
+		if (field) {
+			// Don't move the app back to an older version the range allows.
+			const current = semver.validRange(appPackage[field][name])
+				? semver.minVersion(appPackage[field][name])
+				: null;
+			if (current && semver.satisfies(current, version)) {
+				return;
+			}
+			appPackage[field][name] = version;
+		} else if (baseDependencies[name] === undefined) {
+			appPackage.dependencies = {
+				...appPackage.dependencies,
+				[name]: version,
+			};
+		} else {
+			// The app removed it.
+			return;
+		}
+		updated.push(name);
+	});
+	return { conflicts, updated };
+};
+
+// Returns the newest release of the package in the given major version, or
+// null if the registry can't be reached.
+const getLatestInMajor = (name, major) => {
+	const proc = sync('npm', ['view', `${name}@${major}`, 'version', '--json'], {
+		timeout: 30000,
+		env: getCommandEnv(),
+	});
+	if (proc.status !== 0) {
+		return null;
+	}
+	try {
+		const versions = [].concat(JSON.parse(proc.stdout.toString()));
+		return semver.maxSatisfying(versions, `^${major}.0.0`);
+	} catch (e) {
+		return null;
+	}
+};
+
+// Moves the app's @babel/* packages to the newest release of the major
+// version they are on, keeping their `^`, `~` or exact ranges. Moving to a
+// new major takes a migration, so it is left to the user.
+const bumpBabelDependencies = (appPackage, skip) => {
+	const bumped = [];
+	['dependencies', 'devDependencies'].forEach((field) => {
+		Object.keys(appPackage[field] || {})
+			.filter((name) => name.startsWith('@babel/') && !skip.includes(name))
+			.forEach((name) => {
+				const range = appPackage[field][name];
+				const match = /^([\^~]?)(\d+\.\d+\.\d+)$/.exec(range);
+				if (!match) {
+					return;
+				}
+				const latest = getLatestInMajor(name, semver.major(match[2]));
+				if (!latest) {
+					logger.warn(
+						chalk.yellow(
+							`Could not look up the latest version of ${name}, leaving it at ${range}.`
+						)
+					);
+				} else if (semver.gt(latest, match[2])) {
+					appPackage[field][name] = `${match[1]}${latest}`;
+					bumped.push(name);
+				}
+			});
+	});
+	return bumped;
+};
+
+// Works out what upgrading the app at appPath from one template version to
+// another changes, without writing anything. `from` defaults to the version
+// recorded in the app's package.json, `to` to the latest version of the same
+// template.
+const planUpgrade = async (appPath, options = {}) => {
+	const packageJsonPath = path.join(appPath, 'package.json');
+	const appPackage = fs.existsSync(packageJsonPath)
+		? fs.readJsonSync(packageJsonPath)
+		: null;
+	if (!appPackage || !isBabelInstalled(appPackage)) {
+		fail(`${appPath} is not a make-babel project.`);
+	}
+	const record = appPackage.makeBabel || {};
+	const from = options.from || getRecordedTemplate(record);
+	if (!from && record.template) {
+		fail(
+			`${
+				appPackage.name
+			} was created from the directory ${record.template.replace(
+				/^file:/,
+				''
+			)}, which doesn't keep the version it was created from. Pass that version with --from, e.g. a checkout of it.`
+		);
+	}
+	if (!from) {
+		fail(
+			`The template ${appPackage.name} was created from is unknown. Pass it with --from, e.g. --from cba-template@1.0.0.`
+		);
+	}
+	const packageManager =
+		options.packageManager ||
+		getPackageManagerFromLockfile(appPath) ||
+		getPackageManagerFromWorkspace(appPath) ||
+		getPackageManagerFromUserAgent() ||
+		'npm';
+
+	const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'make-babel-'));
+	try {
+		let base;
+		try {
+			base = await downloadTemplate(from, tmpDir);
+		} catch (err) {
+			if (!(err instanceof CommandError)) {
+				throw err;
+			}
+			fail(
+				`Could not download ${from}. If the app was created from a local template, pass that version of it with --from.`
+			);
+		}
+		const next = await downloadTemplate(
+			options.to || getLatestTemplate(record, base),
+			tmpDir
+		);
+		// The recorded values, including `appName`, `author` and `year`, win
+		// over the defaults, so the files render as they did for the app.
+		const variables = resolveTemplateVariables(
+			next.templateJson,
+			appPackage.name,
+			{ ...record.variables, ...options.variables }
+		);
+
+		// Adopted apps have their own code instead of the template's.
+		const render = (template) => {
+			const files = renderTemplate(template, variables, packageManager);
+			if (record.adopted) {
+				Object.keys(files)
+					.filter(isSampleCode)
+					.forEach((file) => delete files[file]);
+			}
+			return files;
+		};
+		const {
+			changes,
+			conflicts: fileConflicts,
+			skipped,
+		} = mergeTemplateFiles(appPath, render(base), render(next), {
+			ours: 'yours',
+			theirs: `${next.name}@${next.version}`,
+		});
+
+		const nextAppPackage = JSON.parse(JSON.stringify(appPackage));
+		const { conflicts: packageConflicts, updated } = mergeTemplatePackages(
+			nextAppPackage,
+			base.templateJson.package || {},
+			next.templateJson.package || {},
+			packageManager
+		);
+		const bumped = bumpBabelDependencies(nextAppPackage, updated);
+		const { template, templateVersion, templateCommit, ...rest } = record;
+		nextAppPackage.makeBabel = {
+			template: next.spec || next.name,
+			templateVersion: next.version,
+			...(next.commit && { templateCommit: next.commit }),
+			...rest,
+			variables,
+		};
+		if (toJson(nextAppPackage) !== toJson(appPackage)) {
+			const before = fs.readFileSync(packageJsonPath, 'utf8');
+			changes.unshift({
+				file: 'package.json',
+				before,
+				after: toJson(nextAppPackage, getIndent(before)),
+			});
+		}
+
+		return {
+			appPath,
+			packageManager,
+			from: `${base.name}@${base.version}`,
+			to: `${next.name}@${next.version}`,
+			changes,
+			install: updated.length > 0 || bumped.length > 0,
+			dependencies: [],
+			devDependencies: [],
+			conflicts: [...packageConflicts, ...fileConflicts],
+			skipped,
+		};
+	} finally {
+		fs.removeSync(tmpDir);
+	}
+};
+
+// Writes the merged files and installs the new dependencies, rolling
+// everything back if that fails. Conflicts are left for the user to resolve.
+const applyUpgrade = async (plan, verbose = false) => {
+	await applyPlan(plan, verbose);
+
+	logger.log();
+	logger.log(
+		`Success! Upgraded ${plan.appPath} from ${chalk.cyan(
+			plan.from
+		)} to ${chalk.cyan(plan.to)}`
+	);
+	printNotes(plan);
+};
+
+const printNotes = (plan) => {
+	if (plan.skipped.length) {
+		logger.log();
+		logger.log('Skipped:');
+		plan.skipped.forEach((note) => logger.log(`  ${note}`));
+	}
+	if (plan.conflicts.length) {
+		logger.log();
+		logger.warn(
+			chalk.yellow(
+				'These were changed both in your app and in the template. Resolve the conflict markers in the files, and compare the package.json entries with the template by hand:'
+			)
+		);
+		plan.conflicts.forEach((conflict) => logger.warn(`  ${conflict}`));
+	}
+};
+
+// The Node API for `make-babel upgrade`. Upgrades the make-babel app in
+// `appPath` (the working directory by default) without asking, or only prints
+// the diff with `dryRun`.
+const upgradeProject = async (options = {}) => {
+	const {
+		appPath = process.cwd(),
+		from,
+		to,
+		variables,
+		packageManager,
+		verbose = false,
+		dryRun = false,
+	} = options;
+
+	const previousLogger = setLogger(options.logger);
+	const previousCommandSettings = setCommandSettings(options);
+	try {
+		const plan = await planUpgrade(path.resolve(appPath), {
+			from,
+			to,
+			variables,
+			packageManager,
+		});
+		printPlan(plan);
+		if (dryRun) {
+			printNotes(plan);
+		} else {
+			await applyUpgrade(plan, verbose);
+		}
+		return plan;
+	} finally {
+		setCommandSettings(previousCommandSettings);
+		setLogger(previousLogger);
+	}
+};
+
+module.exports = {
+	planUpgrade,
+	printNotes,
+	applyUpgrade,
+	upgradeProject,
+};
@@ -0,0 +1,210 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const { TypeScriptSetupError } = require('./errors');
+const { recordWrite } = require('./journal');
+
+const writeJson = (fileName, object) => {
+	recordWrite(fileName);
+	fs.writeFileSync(fileName, JSON.stringify(object, null, 2) + os.EOL);
+};
+
+const hasTsFiles = (dir) => {
+	if (!fs.existsSync(dir)) {
+		return false;
+	}
+	return fs.readdirSync(dir).some((file) => {
+		const filePath = path.join(dir, file);
+		if (fs.lstatSync(filePath).isDirectory()) {
+			return file !== 'node_modules' && hasTsFiles(filePath);
+		}
+		return /\.tsx?$/.test(file) && !/\.d\.ts$/.test(file);
+	});
+};
+
+const verifyTypeScriptSetup = (appPath) => {
+	let firstTimeSetup = false;
+	const tsconfigPath = path.join(appPath, 'tsconfig.json');
+
+	if (!fs.existsSync(tsconfigPath)) {
+		if (!hasTsFiles(path.join(appPath, 'src'))) {
+			return;
+		}
+		writeJson(tsconfigPath, {});
+		firstTimeSetup = true;
+	}
+
+	// Ensure typescript is installed
+	let ts;
+	try {
+		ts = require(require.resolve('typescript', { paths: [appPath] }));
+	} catch (_) {
+		logger.error(
+			chalk.bold.red(
+				`It looks like you're trying to use TypeScript but do not have ${chalk.bold(
+					'typescript'
+				)} installed.`
+			)
+		);
+		logger.error(
+			chalk.bold(
+				'Please install',
+				chalk.cyan.bold('typescript'),
+				'by running',
+				chalk.cyan.bold('npm install --save-dev typescript') + '.'
+			)
+		);
+		logger.error();
+		throw new TypeScriptSetupError('typescript is not installed');
+	}
+
+	// Babel emits the output, so `tsc` is only ever used for type checking.
+	const compilerOptions = {
+		// These are suggested values and will be set when not present in the
+		// tsconfig.json
+		target: { suggested: 'es2019' },
+		lib: { suggested: ['es2019'] },
+		allowJs: { suggested: true },
+		skipLibCheck: { suggested: true },
+		esModuleInterop: { suggested: true },
+		allowSyntheticDefaultImports: { suggested: true },
+		strict: { suggested: true },
+		forceConsistentCasingInFileNames: { suggested: true },
+		noFallthroughCasesInSwitch: { suggested: true },
+
+		// These values are required and cannot be changed by the user
+		module: {
+			parsedValue: ts.ModuleKind.ESNext,
+			value: 'esnext',
+			reason: 'for import() and import/export',
+		},
+		moduleResolution: {
+			parsedValue: ts.ModuleResolutionKind.NodeJs,
+			value: 'node',
+			reason: 'to match the resolution used by Node',
+		},
+		resolveJsonModule: { value: true, reason: 'to match Babel' },
+		isolatedModules: { value: true, reason: 'implementation limitation' },
+		noEmit: { value: true, reason: 'Babel compiles the output' },
+	};
+
+	const formatDiagnosticHost = {
+		getCanonicalFileName: (fileName) => fileName,
+		getCurrentDirectory: ts.sys.getCurrentDirectory,
+		getNewLine: () => os.EOL,
+	};
+
+	const messages = [];
+	let appTsConfig;
+	let parsedTsConfig;
+	let parsedCompilerOptions;
+	try {
+		const { config: readTsConfig, error } = ts.readConfigFile(
+			tsconfigPath,
+			ts.sys.readFile
+		);
+
+		if (error) {
+			throw new Error(ts.formatDiagnostic(error, formatDiagnosticHost));
+		}
+
+		appTsConfig = readTsConfig;
+
+		// Get TS to parse and resolve any "extends"
+		parsedTsConfig = ts.parseJsonConfigFileContent(
+			readTsConfig,
+			ts.sys,
+			appPath
+		);
+
+		if (parsedTsConfig.errors && parsedTsConfig.errors.length) {
+			throw new Error(
+				ts.formatDiagnostic(parsedTsConfig.errors[0], formatDiagnosticHost)
+			);
+		}
+
+		parsedCompilerOptions = parsedTsConfig.options;
+	} catch (e) {
+		if (e && e.name === 'SyntaxError') {
+			logger.error(
+				chalk.red.bold(
+					'Could not parse',
+					chalk.cyan('tsconfig.json') + '.',
+					'Please make sure it contains syntactically correct JSON.'
+				)
+			);
+		}
+
+		logger.log(e && e.message ? `${e.message}` : '');
+		throw new TypeScriptSetupError('Could not parse tsconfig.json');
+	}
+
+	if (appTsConfig.compilerOptions == null) {
+		appTsConfig.compilerOptions = {};
+		firstTimeSetup = true;
+	}
+
+	for (const option of Object.keys(compilerOptions)) {
+		const { parsedValue, value, suggested, reason } = compilerOptions[option];
+
+		const valueToCheck = parsedValue === undefined ? value : parsedValue;
+		const coloredOption = chalk.cyan('compilerOptions.' + option);
+
+		if (suggested != null) {
+			if (parsedCompilerOptions[option] === undefined) {
+				appTsConfig.compilerOptions[option] = suggested;
+				messages.push(
+					`${coloredOption} to be ${chalk.bold(
+						'suggested'
+					)} value: ${chalk.cyan.bold(suggested)} (this can be changed)`
+				);
+			}
+		} else if (parsedCompilerOptions[option] !== valueToCheck) {
+			appTsConfig.compilerOptions[option] = value;
+			messages.push(
+				`${coloredOption} ${chalk.bold(
+					valueToCheck == null ? 'must not' : 'must'
+				)} be ${valueToCheck == null ? 'set' : chalk.cyan.bold(value)}` +
+					(reason != null ? ` (${reason})` : '')
+			);
+		}
+	}
+
+	if (appTsConfig.include == null) {
+		appTsConfig.include = ['src'];
+		messages.push(
+			`${chalk.cyan('include')} should be ${chalk.cyan.bold('src')}`
+		);
+	}
+
+	if (messages.length > 0) {
+		if (firstTimeSetup) {
+			logger.log(
+				chalk.bold(
+					'Your',
+					chalk.cyan('tsconfig.json'),
+					'has been populated with default values.'
+				)
+			);
+			logger.log();
+		} else {
+			logger.warn(
+				chalk.bold(
+					'The following changes are being made to your',
+					chalk.cyan('tsconfig.json'),
+					'file:'
+				)
+			);
+			messages.forEach((message) => {
+				logger.warn('  - ' + message);
+			});
+			logger.warn();
+		}
+		writeJson(tsconfigPath, appTsConfig);
+	}
+};
+
+module.exports = verifyTypeScriptSetup;
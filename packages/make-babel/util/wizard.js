@@ -0,0 +1,153 @@
+'use strict';
+const chalk = require('chalk');
+const path = require('path');
+const prompts = require('prompts');
+const { validateAppName } = require('./index');
+const {
+	packageManagers,
+	packageManagerNames,
+	getPackageManagerFromOptions,
+	getPackageManagerFromUserAgent,
+} = require('./packageManager');
+const { features, featureNames } = require('./features');
+const { logger } = require('./logger');
+const { CancelledError } = require('./errors');
+
+const templateChoices = [
+	{ title: 'JavaScript', value: 'js' },
+	{ title: 'TypeScript', value: 'ts' },
+	{ title: 'Other (enter a template name)', value: 'other' },
+];
+
+const packageManagerChoices = packageManagerNames.map((name) => ({
+	title: packageManagers[name].displayName,
+	value: name,
+}));
+
+const featureChoices = featureNames.map((name) => ({
+	title: name,
+	value: name,
+	description: features[name].description,
+}));
+
+const extraChoices = [
+	{
+		title: 'Verbose logs',
+		value: 'verbose',
+		description: 'print additional logs while installing',
+	},
+];
+
+// The wizard only makes sense when someone is there to answer it.
+const canPrompt = (options) =>
+	!options.yes && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+// Called when a question is cancelled with Ctrl+C or Esc. It rejects with a
+// CancelledError, and leaves it to the CLI to exit.
+const onCancel = () => {
+	logger.log();
+	logger.log(chalk.red('Aborted.'));
+	throw new CancelledError('prompt');
+};
+
+// Asks for every option that wasn't passed on the command line, and returns
+// the options merged with the answers.
+const promptForOptions = async (projectName, options) => {
+	// Also the one from a config file, which isn't a flag.
+	const packageManager =
+		options.packageManager || getPackageManagerFromOptions(options);
+	const detectedPackageManager = getPackageManagerFromUserAgent() || 'npm';
+	const questions = [
+		{
+			type: typeof projectName === 'undefined' ? 'text' : null,
+			name: 'projectName',
+			message: 'Project name:',
+			initial: 'my-babel-app',
+			validate: (name) =>
+				name.trim()
+					? validateAppName(path.basename(path.resolve(name)))
+					: 'Please enter a project name',
+			format: (name) => name.trim(),
+		},
+		{
+			type: typeof options.template === 'undefined' ? 'select' : null,
+			name: 'template',
+			message: 'Template:',
+			choices: templateChoices,
+			initial: 0,
+		},
+		{
+			type: (prev) => (prev === 'other' ? 'text' : null),
+			name: 'template',
+			message: 'Template name (e.g. cba-template-NAME or file:../my-template):',
+			validate: (template) =>
+				template.trim() ? true : 'Please enter a template name',
+			format: (template) => template.trim(),
+		},
+		{
+			type: typeof packageManager === 'undefined' ? 'select' : null,
+			name: 'packageManager',
+			message: 'Package manager:',
+			choices: packageManagerChoices,
+			initial: packageManagerChoices.findIndex(
+				({ value }) => value === detectedPackageManager
+			),
+		},
+		{
+			type: typeof options.features === 'undefined' ? 'multiselect' : null,
+			name: 'features',
+			message: 'Features:',
+			choices: featureChoices,
+			hint: '- Space to select. Return to submit',
+			instructions: false,
+		},
+		{
+			type: typeof options.verbose === 'undefined' ? 'multiselect' : null,
+			name: 'extras',
+			message: 'Extras:',
+			choices: extraChoices,
+			hint: '- Space to select. Return to submit',
+			instructions: false,
+		},
+	];
+
+	const answers = await prompts(questions, { onCancel });
+
+	const extras = answers.extras || [];
+	return {
+		projectName:
+			typeof answers.projectName === 'undefined'
+				? projectName
+				: answers.projectName,
+		options: {
+			...options,
+			template:
+				typeof answers.template === 'undefined'
+					? options.template
+					: answers.template,
+			packageManager: answers.packageManager || packageManager,
+			features: answers.features || options.features,
+			verbose: options.verbose || extras.includes('verbose'),
+		},
+	};
+};
+
+// Used by `make-babel add` once the diff has been shown.
+const confirmChanges = async () => {
+	const { apply } = await prompts(
+		{
+			type: 'confirm',
+			name: 'apply',
+			message: 'Apply these changes?',
+			initial: true,
+		},
+		{ onCancel }
+	);
+	return apply;
+};
+
+module.exports = {
+	canPrompt,
+	promptForOptions,
+	confirmChanges,
+};
@@ -0,0 +1,253 @@
+'use strict';
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+const { recordWrite } = require('./journal');
+const { getPackageManagerFromLockfile } = require('./packageManager');
+
+// npm, Yarn and Bun list the packages of a workspace as globs in the root
+// package.json's "workspaces" (or "workspaces.packages", Yarn's nohoist
+// form), pnpm in pnpm-workspace.yaml.
+
+const toPosixPath = (file) => file.split(path.sep).join('/');
+
+const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+// Just enough YAML to read and extend the packages list of
+// pnpm-workspace.yaml, whether it is a block (`- 'packages/*'`) or a flow
+// (`[packages/*]`) sequence.
+const readPnpmPatterns = (text) => {
+	const lines = text.split(/\r?\n/);
+	const start = lines.findIndex((line) => /^packages:/.test(line));
+	if (start === -1) {
+		return [];
+	}
+	const flow = /^packages:\s*\[(.*)\]/.exec(lines[start]);
+	if (flow) {
+		return flow[1].split(',').map(unquote).filter(Boolean);
+	}
+	const patterns = [];
+	for (let i = start + 1; i < lines.length && !/^\S/.test(lines[i]); i++) {
+		const item = /^\s*-\s*(.+?)\s*(#.*)?$/.exec(lines[i]);
+		if (item) {
+			patterns.push(unquote(item[1]));
+		}
+	}
+	return patterns;
+};
+
+const addPnpmPattern = (text, pattern) => {
+	const lines = text.split('\n');
+	const start = lines.findIndex((line) => /^packages:/.test(line));
+	if (start === -1) {
+		const separator = !text || text.endsWith('\n') ? '' : os.EOL;
+		return `${text}${separator}packages:${os.EOL}  - '${pattern}'${os.EOL}`;
+	}
+	const flow = /^(packages:\s*\[)(.*?)(\s*\].*)$/.exec(lines[start]);
+	if (flow) {
+		const [, open, items, close] = flow;
+		lines[start] = `${open}${items ? `${items}, ` : ''}'${pattern}'${close}`;
+		return lines.join('\n');
+	}
+	// The new entry is written like the last one.
+	let last = start;
+	for (let i = start + 1; i < lines.length && !/^\S/.test(lines[i]); i++) {
+		if (/^\s*-/.test(lines[i])) {
+			last = i;
+		}
+	}
+	const [, prefix, quote] =
+		last === start
+			? [null, '  - ', "'"]
+			: /^(\s*-\s*)(['"]?)/.exec(lines[last]);
+	const lineEnd = lines[last].endsWith('\r') ? '\r' : '';
+	lines.splice(last + 1, 0, `${prefix}${quote}${pattern}${quote}${lineEnd}`);
+	return lines.join('\n');
+};
+
+const getPackagePatterns = (rootPackage) => {
+	const { workspaces } = rootPackage;
+	if (Array.isArray(workspaces)) {
+		return workspaces;
+	}
+	if (workspaces && Array.isArray(workspaces.packages)) {
+		return workspaces.packages;
+	}
+	return null;
+};
+
+// "packageManager": "yarn@4.1.0" in the root package.json, as Corepack reads it.
+const getPackageManagerFromField = (field = '') => {
+	const match = /^(npm|yarn|pnpm|bun)@(\d+)/.exec(field);
+	if (!match) {
+		return null;
+	}
+	return match[1] === 'yarn' && Number(match[2]) >= 2 ? 'berry' : match[1];
+};
+
+const readWorkspace = (dir) => {
+	const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml');
+	if (fs.existsSync(pnpmWorkspacePath)) {
+		return {
+			root: dir,
+			file: pnpmWorkspacePath,
+			patterns: readPnpmPatterns(fs.readFileSync(pnpmWorkspacePath, 'utf8')),
+			packageManager: 'pnpm',
+		};
+	}
+	const packageJsonPath = path.join(dir, 'package.json');
+	if (!fs.existsSync(packageJsonPath)) {
+		return null;
+	}
+	let rootPackage;
+	try {
+		rootPackage = fs.readJsonSync(packageJsonPath);
+	} catch (err) {
+		return null;
+	}
+	const patterns = getPackagePatterns(rootPackage);
+	if (!patterns) {
+		return null;
+	}
+	return {
+		root: dir,
+		file: packageJsonPath,
+		patterns,
+		packageManager:
+			getPackageManagerFromLockfile(dir) ||
+			getPackageManagerFromField(rootPackage.packageManager) ||
+			null,
+	};
+};
+
+// The nearest workspace root above appPath, if any, as `{ root, file,
+// patterns, packageManager }`. `file` is the one listing the packages, and
+// `packageManager` is null when the root doesn't tell.
+const findWorkspace = (appPath) => {
+	let dir = path.dirname(path.resolve(appPath));
+	for (;;) {
+		const workspace = readWorkspace(dir);
+		if (workspace) {
+			return workspace;
+		}
+		if (dir === path.dirname(dir)) {
+			return null;
+		}
+		dir = path.dirname(dir);
+	}
+};
+
+// `packages/*` matches packages/api, `apps/**` anything under apps.
+const globToRegExp = (glob) =>
+	new RegExp(
+		`^${glob
+			.replace(/^\.\//, '')
+			.replace(/\/+$/, '')
+			.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+			.replace(/\*\*\/|\*\*|\*|\?/g, (wildcard) => {
+				switch (wildcard) {
+					case '**/':
+						return '(?:[^/]+/)*';
+					case '**':
+						return '.*';
+					case '*':
+						return '[^/]*';
+					default:
+						return '[^/]';
+				}
+			})}$`
+	);
+
+const getWorkspacePath = (workspace, appPath) =>
+	toPosixPath(path.relative(workspace.root, path.resolve(appPath)));
+
+const isWorkspacePackage = (workspace, appPath) => {
+	const packagePath = getWorkspacePath(workspace, appPath);
+	const matches = (pattern) => globToRegExp(pattern).test(packagePath);
+	return (
+		workspace.patterns.some(
+			(pattern) => !pattern.startsWith('!') && matches(pattern)
+		) &&
+		!workspace.patterns.some(
+			(pattern) => pattern.startsWith('!') && matches(pattern.slice(1))
+		)
+	);
+};
+
+// The change that lists appPath in the workspace, as `{ file, before, after }`
+// with an absolute `file`, or null if one of the globs already matches it.
+const getWorkspaceChange = (workspace, appPath) => {
+	if (isWorkspacePackage(workspace, appPath)) {
+		return null;
+	}
+	const packagePath = getWorkspacePath(workspace, appPath);
+	const before = fs.readFileSync(workspace.file, 'utf8');
+	if (path.basename(workspace.file) === 'pnpm-workspace.yaml') {
+		return {
+			file: workspace.file,
+			before,
+			after: addPnpmPattern(before, packagePath),
+		};
+	}
+	const rootPackage = JSON.parse(before);
+	getPackagePatterns(rootPackage).push(packagePath);
+	// Keeps the indentation the root package.json already uses.
+	const indent = (/^([ \t]+)\S/m.exec(before) || [])[1] || '  ';
+	return {
+		file: workspace.file,
+		before,
+		after: JSON.stringify(rootPackage, null, indent) + os.EOL,
+	};
+};
+
+// Lists the new package in the workspace, so the package manager installs it
+// as part of the workspace instead of on its own.
+const addToWorkspace = (workspace, appPath) => {
+	const change = getWorkspaceChange(workspace, appPath);
+	if (!change) {
+		return false;
+	}
+	recordWrite(change.file);
+	fs.writeFileSync(change.file, change.after);
+	logger.log(
+		`Added ${chalk.green(
+			getWorkspacePath(workspace, appPath)
+		)} to the workspace in ${chalk.green(change.file)}.`
+	);
+	return true;
+};
+
+// Where to run an install for the package at appPath, and with which
+// arguments. npm only installs into a workspace package from the root, and
+// would otherwise give the package its own lockfile and node_modules. Yarn,
+// pnpm and Bun find the root by themselves.
+const getWorkspaceInstall = (appPath, packageManager, args) => {
+	const workspace = packageManager === 'npm' && findWorkspace(appPath);
+	if (!workspace || !isWorkspacePackage(workspace, appPath)) {
+		return { cwd: appPath, args };
+	}
+	return {
+		cwd: workspace.root,
+		args: [...args, '--workspace', getWorkspacePath(workspace, appPath)],
+	};
+};
+
+// The package manager of the workspace appPath belongs to, if it tells.
+const getPackageManagerFromWorkspace = (appPath) => {
+	const workspace = findWorkspace(appPath);
+	return workspace && isWorkspacePackage(workspace, appPath)
+		? workspace.packageManager
+		: null;
+};
+
+module.exports = {
+	findWorkspace,
+	isWorkspacePackage,
+	getWorkspacePath,
+	getWorkspaceChange,
+	addToWorkspace,
+	getWorkspaceInstall,
+	getPackageManagerFromWorkspace,
+};
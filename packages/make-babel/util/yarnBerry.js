@@ -0,0 +1,103 @@
+'use strict';
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { sync } = require('cross-spawn');
+const { CommandError } = require('./errors');
+const { recordWrite } = require('./journal');
+const { findWorkspace } = require('./workspace');
+const { getOutputStream } = require('./logger');
+const { getCommandEnv } = require('./command');
+
+// Yarn 2+ only treats a directory as a project once it has a lockfile, and
+// reads the linker to use from .yarnrc.yml.
+const writeYarnBerryFiles = (root, usePnp) => {
+	recordWrite(path.join(root, '.yarnrc.yml'));
+	fs.writeFileSync(
+		path.join(root, '.yarnrc.yml'),
+		`nodeLinker: ${usePnp ? 'pnp' : 'node-modules'}` + os.EOL
+	);
+	recordWrite(path.join(root, 'yarn.lock'));
+	fs.writeFileSync(path.join(root, 'yarn.lock'), '');
+};
+
+// Yarn 2+ wants `name@file:...` instead of a bare `file:...` path.
+const getBerryDescriptor = (templateToInstall) => {
+	const fileMatch = templateToInstall.match(/^file:(.*)$/);
+	if (!fileMatch) {
+		return templateToInstall;
+	}
+	const { name } = fs.readJsonSync(path.join(fileMatch[1], 'package.json'));
+	return `${name}@${templateToInstall}`;
+};
+
+// A workspace package shares the PnP API of the workspace root.
+const getPnpApi = (appPath) => {
+	const workspace = findWorkspace(appPath);
+	const pnpPath = [appPath, ...(workspace ? [workspace.root] : [])]
+		.map((dir) => ['.pnp.cjs', '.pnp.js'].map((file) => path.join(dir, file)))
+		.reduce((all, files) => all.concat(files), [])
+		.find((file) => fs.existsSync(file));
+	if (!pnpPath) {
+		return null;
+	}
+	// The install may have rewritten it since it was last required.
+	delete require.cache[pnpPath];
+	return require(pnpPath);
+};
+
+// Finds the installed template's directory. Under Plug'n'Play there is no
+// node_modules, and Yarn 2+ keeps packages zipped in its cache, so the
+// template is unplugged (extracted to .yarn/unplugged) and resolved through
+// the project's PnP API instead.
+const resolveTemplatePath = (appPath, templateName, packageManager) => {
+	if (packageManager === 'berry' && getPnpApi(appPath)) {
+		const args = ['unplug', templateName];
+		const proc = sync('yarnpkg', args, {
+			stdio: ['inherit', getOutputStream(), 'inherit'],
+			env: getCommandEnv(),
+		});
+		if (proc.status !== 0) {
+			throw new CommandError(['yarnpkg', ...args].join(' '));
+		}
+	}
+
+	const pnpApi = getPnpApi(appPath);
+	if (pnpApi) {
+		return pnpApi.resolveToUnqualified(templateName, `${appPath}/`);
+	}
+	return path.dirname(
+		require.resolve(`${templateName}/package.json`, { paths: [appPath] })
+	);
+};
+
+// `yarn unplug` records the template in dependenciesMeta, and `yarn remove`
+// leaves that entry behind.
+const removeUnpluggedTemplate = (appPath, templateName) => {
+	const packageJsonPath = path.join(appPath, 'package.json');
+	const appPackage = fs.readJsonSync(packageJsonPath);
+	if (!appPackage.dependenciesMeta) {
+		return;
+	}
+	Object.keys(appPackage.dependenciesMeta)
+		.filter((key) => key === templateName || key.startsWith(`${templateName}@`))
+		.forEach((key) => {
+			delete appPackage.dependenciesMeta[key];
+		});
+	if (!Object.keys(appPackage.dependenciesMeta).length) {
+		delete appPackage.dependenciesMeta;
+	}
+	recordWrite(packageJsonPath);
+	fs.writeFileSync(
+		packageJsonPath,
+		JSON.stringify(appPackage, null, 2) + os.EOL
+	);
+};
+
+module.exports = {
+	writeYarnBerryFiles,
+	getBerryDescriptor,
+	getPnpApi,
+	resolveTemplatePath,
+	removeUnpluggedTemplate,
+};
@@ -0,0 +1,9 @@
+import http, { IncomingMessage, ServerResponse } from 'http';
+
+const requestListener = (req: IncomingMessage, res: ServerResponse): void => {
+	res.writeHead(200);
+	res.end('Babel.JS is working!');
+};
+
+const server = http.createServer(requestListener);
+server.listen({{port}});
@@ -6,4 +6,4 @@ const requestListener = (req, res) => {
 };
 
 const server = http.createServer(requestListener);
-server.listen(8080);
+server.listen({{port}});